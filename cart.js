@@ -0,0 +1,307 @@
+// Shopping cart shared by index.html and Products.html (needs i18n.js, dialog.js, currency.js, promotions.js and catalog.js)
+// Items are kept in localStorage so the cart survives page changes,
+// and the whole cart is sent to the WhatsApp admin as one order message.
+// Prices are worked out again from the list price on every render, so a
+// sale that ends while an item sits in the cart stops applying.
+class ShoppingCart {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'athnaCart',
+            whatsappNumber: '6287864853508',
+            ...options
+        };
+
+        this.items = this.loadItems();
+        this.drawer = null;
+        this.overlay = null;
+
+        this.init();
+    }
+
+    loadItems() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            return Array.isArray(stored) ? stored.filter(item => item && item.id != null) : [];
+        } catch (error) {
+            console.warn('Could not read saved cart, starting empty:', error);
+            return [];
+        }
+    }
+
+    saveItems() {
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Could not save cart:', error);
+        }
+        this.render();
+    }
+
+    // The same product in two sizes is two separate cart lines
+    getItemKey(id, size = null) {
+        return `${id}|${size || ''}`;
+    }
+
+    findItem(key) {
+        return this.items.find(item => this.getItemKey(item.id, item.size) === key);
+    }
+
+    // product: { id, name, price, listPrice, discount, category, image, size },
+    // see Product.getCartItem()
+    addItem(product, quantity = 1) {
+        const existing = this.findItem(this.getItemKey(product.id, product.size));
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            this.items.push({
+                id: product.id,
+                name: product.name,
+                price: product.price,
+                listPrice: product.listPrice != null ? product.listPrice : null,
+                discount: product.discount || 0,
+                category: product.category || '',
+                image: product.image || '',
+                size: product.size || null,
+                quantity: quantity
+            });
+        }
+        this.saveItems();
+    }
+
+    removeItem(key) {
+        this.items = this.items.filter(item => this.getItemKey(item.id, item.size) !== key);
+        this.saveItems();
+    }
+
+    updateQuantity(key, quantity) {
+        const item = this.findItem(key);
+        if (!item) return;
+
+        if (quantity < 1) {
+            this.removeItem(key);
+            return;
+        }
+
+        item.quantity = quantity;
+        this.saveItems();
+    }
+
+    clear() {
+        this.items = [];
+        this.saveItems();
+    }
+
+    getItemCount() {
+        return this.items.reduce((count, item) => count + item.quantity, 0);
+    }
+
+    // Current unit price; carts saved before listPrice was stored keep their price
+    getItemPrice(item) {
+        if (item.listPrice == null) return item.price;
+        return PromotionEngine.getSale(item, item.listPrice).price;
+    }
+
+    getSubtotal() {
+        return this.items.reduce((total, item) => total + this.getItemPrice(item) * item.quantity, 0);
+    }
+
+    // "Buy N get X% off" deals the cart qualifies for: [{ promotion, amount }]
+    getDiscounts() {
+        const lines = this.items.map(item => ({ ...item, price: this.getItemPrice(item) }));
+        return PromotionEngine.getCartDiscounts(lines);
+    }
+
+    getTotal() {
+        const discount = this.getDiscounts().reduce((total, d) => total + d.amount, 0);
+        return this.getSubtotal() - discount;
+    }
+
+    // Orders are placed in IDR; the total also shows the visitor's currency
+    buildOrderMessage() {
+        const lines = this.items.map((item, index) => {
+            const sizeText = item.size ? t('order.size', { size: item.size }) : '';
+            return `${index + 1}. ${item.name}${sizeText} x${item.quantity} - ${formatIDR(this.getItemPrice(item) * item.quantity)}`;
+        });
+
+        const discounts = this.getDiscounts();
+        const discountLines = discounts.length === 0 ? [] : [
+            t('cart.subtotal', { price: formatIDR(this.getSubtotal()) }),
+            ...discounts.map(d => `${d.promotion.getDescription()}: -${formatIDR(d.amount)}`)
+        ];
+
+        return [
+            t('order.cart'),
+            ...lines,
+            '',
+            ...discountLines,
+            t('cart.total', { price: formatOrderPrice(this.getTotal()) })
+        ].join('\n');
+    }
+
+    getOrderURL() {
+        return `https://wa.me/${this.options.whatsappNumber}?text=${encodeURIComponent(this.buildOrderMessage())}`;
+    }
+
+    createDrawer() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'cart-overlay';
+
+        this.drawer = document.createElement('aside');
+        this.drawer.className = 'cart-drawer';
+        this.drawer.setAttribute('aria-labelledby', 'cart-title');
+        // data-i18n text is updated by i18n.js when the language changes
+        this.drawer.innerHTML = `
+            <div class="cart-header">
+                <h2 id="cart-title" data-i18n="cart.title">${t('cart.title')}</h2>
+                <button class="cart-close" data-i18n-aria-label="cart.close" aria-label="${t('cart.close')}">&times;</button>
+            </div>
+            <div class="cart-items"></div>
+            <div class="cart-footer">
+                <div class="cart-discounts"></div>
+                <div class="cart-total"></div>
+                <a href="#" target="_blank" class="whatsapp-order-btn cart-order-btn">
+                    <i class="fa-brands fa-whatsapp"></i> <span data-i18n="cart.order">${t('cart.order')}</span>
+                </a>
+                <button class="cart-clear" data-i18n="cart.clear">${t('cart.clear')}</button>
+            </div>
+        `;
+
+        document.body.appendChild(this.overlay);
+        document.body.appendChild(this.drawer);
+
+        this.dialog = new AccessibleDialog(this.drawer, {
+            labelledBy: 'cart-title',
+            initialFocus: '.cart-close',
+            onClose: () => this.close(),
+            keepInteractive: [this.overlay] // Clicking it closes the cart
+        });
+    }
+
+    render() {
+        const count = this.getItemCount();
+        document.querySelectorAll('.cart-count').forEach(badge => {
+            badge.textContent = count;
+            badge.classList.toggle('empty', count === 0);
+        });
+
+        if (!this.drawer) return;
+
+        const itemsContainer = this.drawer.querySelector('.cart-items');
+        const footer = this.drawer.querySelector('.cart-footer');
+
+        if (this.items.length === 0) {
+            itemsContainer.innerHTML = `<p class="cart-empty">${t('cart.empty')}</p>`;
+            footer.style.display = 'none';
+            this.keepFocusInside();
+            return;
+        }
+
+        itemsContainer.innerHTML = this.items.map(item => `
+            <div class="cart-item" data-key="${this.getItemKey(item.id, item.size)}">
+                ${item.image ? `<img src="${item.image}" alt="${item.name}" class="cart-item-image">` : ''}
+                <div class="cart-item-details">
+                    <h3 class="cart-item-name">${item.name}</h3>
+                    ${item.size ? `<span class="cart-item-size">${t('cart.size', { size: item.size })}</span>` : ''}
+                    <span class="cart-item-price">${formatPrice(this.getItemPrice(item))}</span>
+                    <div class="cart-item-quantity">
+                        <button class="cart-qty-btn" data-action="decrease" aria-label="${t('cart.decrease')}">&minus;</button>
+                        <span>${item.quantity}</span>
+                        <button class="cart-qty-btn" data-action="increase" aria-label="${t('cart.increase')}">&plus;</button>
+                    </div>
+                </div>
+                <button class="cart-item-remove" data-action="remove" aria-label="${t('cart.remove', { name: item.name })}">&times;</button>
+            </div>
+        `).join('');
+
+        const discounts = this.getDiscounts();
+        footer.querySelector('.cart-discounts').innerHTML = discounts.length === 0 ? '' : `
+            <div class="cart-subtotal">${t('cart.subtotal', { price: formatPrice(this.getSubtotal()) })}</div>
+            ${discounts.map(d => `
+                <div class="cart-discount">${d.promotion.getDescription()}: -${formatPrice(d.amount)}</div>
+            `).join('')}
+        `;
+
+        footer.style.display = '';
+        footer.querySelector('.cart-total').textContent = t('cart.total', { price: formatOrderPrice(this.getTotal()) });
+        footer.querySelector('.cart-order-btn').href = this.getOrderURL();
+        this.keepFocusInside();
+    }
+
+    // Re-rendering removes the button that had focus; keep focus in the open cart
+    keepFocusInside() {
+        if (this.isOpen() && !this.drawer.contains(document.activeElement)) {
+            this.drawer.focus();
+        }
+    }
+
+    open() {
+        this.render();
+        this.drawer.classList.add('active');
+        this.overlay.classList.add('active');
+        this.dialog.open();
+    }
+
+    close() {
+        this.drawer.classList.remove('active');
+        this.overlay.classList.remove('active');
+        this.dialog.close();
+    }
+
+    isOpen() {
+        return this.drawer && this.drawer.classList.contains('active');
+    }
+
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.cart-toggle')) {
+                e.preventDefault();
+                this.isOpen() ? this.close() : this.open();
+            }
+        });
+
+        this.overlay.addEventListener('click', () => this.close());
+        this.drawer.querySelector('.cart-close').addEventListener('click', () => this.close());
+        this.drawer.querySelector('.cart-clear').addEventListener('click', () => this.clear());
+
+        this.drawer.querySelector('.cart-items').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const key = button.closest('.cart-item').dataset.key;
+            const item = this.findItem(key);
+            if (!item) return;
+
+            if (button.dataset.action === 'increase') {
+                this.updateQuantity(key, item.quantity + 1);
+            } else if (button.dataset.action === 'decrease') {
+                this.updateQuantity(key, item.quantity - 1);
+            } else if (button.dataset.action === 'remove') {
+                this.removeItem(key);
+            }
+        });
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.options.storageKey) {
+                this.items = this.loadItems();
+                this.render();
+            }
+        });
+    }
+
+    init() {
+        this.createDrawer();
+        this.setupEventListeners();
+        this.render();
+
+        // Render again once the current promotions are known
+        PromotionEngine.load().then(() => this.render());
+        document.addEventListener('currencychange', () => this.render());
+        document.addEventListener('languagechange', () => this.render());
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.shoppingCart = new ShoppingCart();
+});
@@ -0,0 +1,1065 @@
+// Shared product catalog: price formatting, the Product model, the
+// products.json loader and the product popup. Loaded after i18n.js, currency.js and promotions.js
+// and before shop.js, shop-popup.js, cart.js and the landing sliders so
+// they all render products the same way.
+
+const WHATSAPP_NUMBER = '6287864853508';
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/400x500?text=No+image';
+const LOW_STOCK_THRESHOLD = 3; // "Only N left" from this many down
+
+// Prices are stored in IDR and shown in the currency picked in the header
+function formatPrice(price) {
+    if (price === undefined || price === null) return '';
+    return CurrencyConverter.isBase() ? formatIDR(price) : CurrencyConverter.format(price);
+}
+
+function formatIDR(price) {
+    return 'Rp ' + Math.round(price).toLocaleString('id-ID') + ', - IDR';
+}
+
+// Orders are paid in IDR; the converted amount is only a guide
+function formatOrderPrice(price) {
+    if (price === undefined || price === null) return '';
+    return CurrencyConverter.isBase() ? formatIDR(price) : `${formatIDR(price)} (≈ ${CurrencyConverter.format(price)})`;
+}
+
+// Inline onclick target of the slider cards: queue the request if the page
+// has not set up its popup yet (shop-popup.js picks it up on init)
+function safeShowProductPopup(id) {
+    if (typeof showProductPopup === 'function') {
+        showProductPopup(id);
+    } else {
+        window._pendingProductPopup = id;
+    }
+}
+
+// Web Share API where available (mostly phones), clipboard otherwise.
+// The <span> inside `button` briefly says "Link copied" after a copy.
+async function shareLink({ title, text, url }, button) {
+    if (navigator.share) {
+        try {
+            await navigator.share({ title, text, url });
+        } catch (error) {
+            // AbortError just means the share sheet was dismissed
+            if (error.name !== 'AbortError') console.warn('Share failed:', error);
+        }
+        return;
+    }
+
+    const label = button && button.querySelector('span');
+    const originalText = label ? label.textContent : '';
+    try {
+        await navigator.clipboard.writeText(url);
+        if (label) label.textContent = t('share.copied');
+    } catch (error) {
+        // Clipboard needs a secure context; let the user copy it by hand
+        window.prompt(t('share.copyPrompt'), url);
+        return;
+    }
+
+    setTimeout(() => {
+        if (label) label.textContent = originalText;
+    }, 2000);
+}
+
+// Product model used by every page
+class Product {
+    constructor(id, name, price, description, category, images, originalPrice = null, discount = 0, size = [], stock = null, sizeStock = null, related = [], translations = {}, type = null) {
+        this.id = id;
+        this.name = name;
+        this.price = price;
+        this.description = description;
+        this.category = category;
+        // Accept both single string or array of images
+        this.images = Array.isArray(images) ? images : [images];
+        this.originalPrice = originalPrice || price;
+        this.discount = discount;
+        this.currentImageIndex = 0;
+        this.size = Array.isArray(size) ? size : []; // Handle size array
+        // Both optional: null / {} means stock is not tracked and the item counts as available
+        this.stock = typeof stock === 'number' ? stock : null;
+        this.sizeStock = sizeStock && typeof sizeStock === 'object' ? sizeStock : {};
+        this.related = Array.isArray(related) ? related : []; // Hand-picked product ids
+        // Optional { id: { name, description } }; name and description are English
+        this.translations = translations && typeof translations === 'object' ? translations : {};
+        // Sub-type within the category (Jumpsuit, Dress, ...), taken from the name when not given
+        this.type = typeof type === 'string' && type.trim() ? type.trim() : Product.inferType(name);
+    }
+
+    // "T - Shirt Sport Women" -> "T-Shirt": the name without the words that
+    // repeat the category
+    static inferType(name) {
+        return String(name || '')
+            .replace(/\b(sports?|casual|men|women)\b/gi, ' ')
+            .replace(/\s*-\s*/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Builds a Product from one products.json entry. `price` there is the
+    // list price; discounts and promotions are applied by calculateDiscountedPrice()
+    static fromJSON(item) {
+        return new Product(
+            item.id,
+            item.name,
+            item.price,
+            item.description,
+            item.category,
+            item.images || [item.image], // Handle both old format (single image) and new format (multiple images)
+            item.price,
+            item.discount || 0,
+            item.size || [],
+            item.stock,
+            item.sizeStock,
+            item.related,
+            item.translations,
+            item.type
+        );
+    }
+
+    // Name and description in the interface language, English when not translated
+    getName() {
+        const translation = this.translations[I18n.getLanguage()];
+        return (translation && translation.name) || this.name;
+    }
+
+    getDescription() {
+        const translation = this.translations[I18n.getLanguage()];
+        return (translation && translation.description) || this.description;
+    }
+
+    formatPrice(price) {
+        return formatPrice(price);
+    }
+
+    // Best price right now: { price, promotion }, promotion is null at list price
+    getSale() {
+        return PromotionEngine.getSale(this, this.originalPrice);
+    }
+
+    hasDiscount() {
+        return this.getSale().promotion !== null;
+    }
+
+    calculateDiscountedPrice() {
+        return this.getSale().price;
+    }
+
+    // Percent saved, whatever kind of promotion applies (used for sorting)
+    getDiscountPercent() {
+        if (!this.originalPrice) return 0;
+        return Math.round((1 - this.calculateDiscountedPrice() / this.originalPrice) * 100);
+    }
+
+    // Active "buy N get X% off" deals, applied in the cart
+    getBundlePromotions() {
+        return PromotionEngine.getBundles(this);
+    }
+
+    // What the cart needs to price this product again later
+    getCartItem(size = null) {
+        return {
+            id: this.id,
+            name: this.name,
+            price: this.calculateDiscountedPrice(),
+            listPrice: this.originalPrice,
+            discount: this.discount,
+            category: this.category,
+            image: this.images[0],
+            size: size
+        };
+    }
+
+    createPromotionHTML() {
+        const { promotion } = this.getSale();
+        const bundles = this.getBundlePromotions();
+        if (!promotion && bundles.length === 0) return '';
+
+        // The product's own discount field has no name or end date to show
+        const sale = promotion && promotion.name
+            ? `<p class="promotion-sale"><i class="fas fa-tag"></i> ${promotion.name}${promotion.end ? ` <span class="promotion-end">${promotion.getEndLabel()}</span>` : ''}</p>`
+            : '';
+
+        return `
+            <div class="popup-promotions">
+                ${sale}
+                ${bundles.map(bundle => `<p class="promotion-bundle"><i class="fas fa-layer-group"></i> ${bundle.getDescription()}${bundle.name ? ` <span class="promotion-end">${bundle.name}</span>` : ''}</p>`).join('')}
+            </div>
+        `;
+    }
+
+    hasMultipleImages() {
+        return this.images.length > 1;
+    }
+
+    hasSizes() {
+        // Treat an (empty) size array as valid so the popup layout remains consistent.
+        // The popup will render a placeholder when there are no actual sizes.
+        return Array.isArray(this.size);
+    }
+
+    requiresSizeSelection() {
+        // "All size" (one size fits all) and empty size lists need no choice
+        return this.size.length > 0 && !this.size.every(s => s.toLowerCase() === 'all size');
+    }
+
+    // Units left, or null when stock is not tracked. Per-size stock wins over
+    // the product total; sizes without an entry are not counted.
+    getStock() {
+        const counts = Object.values(this.sizeStock).filter(count => typeof count === 'number');
+        if (counts.length > 0) return counts.reduce((total, count) => total + count, 0);
+        return this.stock;
+    }
+
+    getSizeStock(size) {
+        const count = this.sizeStock[size];
+        return typeof count === 'number' ? count : null;
+    }
+
+    isSoldOut() {
+        return this.getStock() === 0;
+    }
+
+    isSizeSoldOut(size) {
+        return this.isSoldOut() || this.getSizeStock(size) === 0;
+    }
+
+    isLowStock() {
+        const stock = this.getStock();
+        return stock !== null && stock > 0 && stock <= LOW_STOCK_THRESHOLD;
+    }
+
+    createStockBadgeHTML() {
+        if (this.isSoldOut()) {
+            return `<div class="stock-badge sold-out">${t('product.soldOut')}</div>`;
+        }
+        if (this.isLowStock()) {
+            return `<div class="stock-badge low-stock">${t('product.onlyLeft', { count: this.getStock() })}</div>`;
+        }
+        return '';
+    }
+
+    // Heart toggle handled by wishlist.js, which also keeps its state in sync
+    createWishlistButtonHTML() {
+        const saved = window.wishlist ? window.wishlist.has(this.id) : false;
+        return `
+            <button type="button" class="wishlist-toggle ${saved ? 'active' : ''}" data-id="${this.id}"
+                    aria-pressed="${saved}" aria-label="${t('product.saveToFavorites', { name: this.getName() })}">
+                <i class="${saved ? 'fas' : 'far'} fa-heart"></i>
+            </button>
+        `;
+    }
+
+    // Messages to the shop use the catalog (English) name the admin knows
+    getRestockMessage() {
+        return t('order.restock', { name: this.name });
+    }
+
+    getRestockURL() {
+        return `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(this.getRestockMessage())}`;
+    }
+
+    getOrderMessage(size = null) {
+        const sizeText = size ? t('order.size', { size }) : '';
+        return t('order.product', { name: this.name, size: sizeText, price: formatOrderPrice(this.calculateDiscountedPrice()) });
+    }
+
+    getOrderURL(size = null) {
+        return `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(this.getOrderMessage(size))}`;
+    }
+
+    nextImage() {
+        if (this.hasMultipleImages()) {
+            this.currentImageIndex = (this.currentImageIndex + 1) % this.images.length;
+        }
+        return this.images[this.currentImageIndex];
+    }
+
+    previousImage() {
+        if (this.hasMultipleImages()) {
+            this.currentImageIndex = (this.currentImageIndex - 1 + this.images.length) % this.images.length;
+        }
+        return this.images[this.currentImageIndex];
+    }
+
+    createHTML(searchQuery = '') {
+        const { price: discountedPrice, promotion } = this.getSale();
+        const hasDiscount = promotion !== null;
+        const hasMultipleImages = this.hasMultipleImages();
+        const mainImage = this.images[0];
+        // Search results mix categories, so they show the category and highlight matches
+        const name = this.getName();
+        const displayName = searchQuery && window.ProductSearch ? ProductSearch.highlight(name, searchQuery) : name;
+
+        return `
+            <div class="product-card clickable-product ${this.isSoldOut() ? 'sold-out' : ''}" data-id="${this.id}">
+                ${hasDiscount ? '<div class="discount-badge">' + promotion.getBadgeLabel() + '</div>' : ''}
+                ${this.createStockBadgeHTML()}
+                ${this.createWishlistButtonHTML()}
+                <div class="product-image-container">
+                    <img src="${mainImage}" alt="${name}" class="product-image main-image" loading="lazy">
+                    ${hasMultipleImages ? `<img src="${this.images[1]}" alt="${name}" class="product-image hover-image" loading="lazy">` : ''}
+                    </div>
+                
+                ${searchQuery ? `<span class="category">${this.category}</span>` : ''}
+                <h3 class="product-name"><button type="button" class="product-card-open">${displayName}</button></h3>                
+                <div class="product-price">
+                    ${hasDiscount ?
+                `<span class="original-price" data-price="${this.originalPrice}">${this.formatPrice(this.originalPrice)}</span>
+                         <span class="discounted-price" data-price="${discountedPrice}">${this.formatPrice(discountedPrice)}</span>`
+                : `<span data-price="${this.price}">${this.formatPrice(this.price)}</span>`
+            }
+           
+                </div>
+            </div>
+        `;
+    }
+
+    // Compact card used by the CardSlider rows on the landing page.
+    // The whole card opens the popup on click; for the keyboard and screen
+    // readers the name is the button, next to (not around) the heart.
+    createSliderCardHTML() {
+        return `
+            <div class="product-card ${this.isSoldOut() ? 'sold-out' : ''}" onclick="safeShowProductPopup(${this.id})" data-id="${this.id}">
+                ${this.createStockBadgeHTML()}
+                ${this.createWishlistButtonHTML()}
+                <img class="main-image" src="${this.images[0] || PLACEHOLDER_IMAGE}" alt="${this.getName()}">
+                <div class="card-content">
+                    <h3><button type="button" class="product-card-open">${this.getName()}</button></h3>
+                    <p class="price" data-price="${this.calculateDiscountedPrice()}">${this.formatPrice(this.calculateDiscountedPrice())}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    createPopupHTML() {
+        const { price: discountedPrice, promotion } = this.getSale();
+        const hasDiscount = promotion !== null;
+        const hasMultipleImages = this.hasMultipleImages();
+        const hasSizes = this.hasSizes();
+        const soldOut = this.isSoldOut();
+        // Nothing to choose when nothing can be ordered
+        const requiresSize = this.requiresSizeSelection() && !soldOut;
+        const name = this.getName();
+
+        return `
+            <div class="product-popup" data-id="${this.id}">
+    <div class="popup-content horizontal-layout">
+        <button class="close-popup" aria-label="${t('product.close')}">&times;</button>
+        
+        <div class="popup-gallery">
+            <div class="gallery-stage">
+                <img src="${this.images[0]}" alt="${name}" class="main-image boxs" id="main-image-${this.id}" draggable="false">
+                
+                ${hasMultipleImages ? `
+                    <button class="image-nav-btn prev-btn" aria-label="${t('product.previousImage')}">‹</button>
+                    <button class="image-nav-btn next-btn" aria-label="${t('product.nextImage')}">›</button>
+                    <span class="gallery-counter" aria-live="polite">1 / ${this.images.length}</span>
+                ` : ''}
+            </div>
+            
+            ${hasMultipleImages ? `
+            <div class="thumbnail-container">
+                ${this.images.map((image, index) => `
+                    <img src="${image}" alt="${t('product.imageAlt', { name, number: index + 1 })}" class="thumbnail ${index === 0 ? 'active' : ''}"
+                         data-index="${index}" tabindex="0" role="button" loading="lazy">
+                `).join('')}
+            </div>
+            ` : ''}
+        </div>
+        
+        <div class="popup-details">            
+            <h2 class="popup-title" id="popup-title-${this.id}">${name}</h2>
+            
+            
+            <div class="popup-price">
+                ${hasDiscount ?
+                `<span class="original-price" data-price="${this.originalPrice}">${this.formatPrice(this.originalPrice)}</span>
+                     <span class="discounted-price" data-price="${discountedPrice}">${this.formatPrice(discountedPrice)}</span>
+                     <span class="discount-percent">${promotion.getBadgeLabel()}</span>`
+                : `<span class="current-price" data-price="${this.price}">${this.formatPrice(this.price)}</span>`
+            }
+            </div>
+            ${soldOut || this.isLowStock() ? `<p class="popup-stock ${soldOut ? 'sold-out' : 'low-stock'}">${soldOut ? t('product.soldOut') : t('product.onlyLeft', { count: this.getStock() })}</p>` : ''}
+            ${this.createPromotionHTML()}
+            
+            ${hasSizes ? `
+            <div class="popup-sizes">
+    ${Array.isArray(this.size) && this.size.length > 0 ? `
+        <h3>${t('product.availableSizes')}</h3>
+        <div class="size-options" ${requiresSize ? `role="group" aria-label="${t('product.selectSize')}"` : ''}>
+            ${this.size.map(s => this.requiresSizeSelection()
+                ? (this.isSizeSoldOut(s)
+                    ? `<button type="button" class="size-tag selectable sold-out" data-size="${s}" disabled aria-label="${t('product.sizeSoldOut', { size: s })}">${s}</button>`
+                    : `<button type="button" class="size-tag selectable" data-size="${s}" aria-pressed="false">${s}</button>`)
+                : `<span class="size-tag">${s}</span>`
+            ).join('')}
+        </div>
+        ${requiresSize ? `<p class="size-hint">${t('product.sizeHint')}</p>` : ''}
+    ` : `
+        <!-- Empty sizes container with min-height to maintain layout -->
+        <div class="size-options empty-sizes">
+            <span class="size-tag" style="visibility: hidden;">OS</span>
+        </div>
+    `}
+</div>
+            ` : ` `}
+            
+            <div class="popup-description">
+                <p>${this.getDescription()}</p>
+            </div>
+            
+            <div class="popup-actions">
+                ${soldOut ? `
+                <a href="${this.getRestockURL()}" target="_blank" class="whatsapp-order-btn restock-btn">
+                    <i class="fa-brands fa-whatsapp"></i> ${t('product.askRestock')}
+                </a>
+                ` : `
+                <a href="${this.getOrderURL()}" 
+                   target="_blank" 
+                   class="whatsapp-order-btn ${requiresSize ? 'disabled' : ''}"
+                   aria-disabled="${requiresSize}">
+                    <i class="fa-brands fa-whatsapp"></i> ${t('product.orderWhatsApp')}
+                </a>
+                <button class="add-to-cart-btn ${requiresSize ? 'disabled' : ''}" aria-disabled="${requiresSize}">
+                    <i class="fas fa-shopping-bag"></i> ${t('product.addToCart')}
+                </button>
+                `}
+                ${this.createWishlistButtonHTML()}
+                <button class="share-product-btn" aria-label="${t('product.shareLabel', { name })}">
+                    <i class="fas fa-share-alt"></i> <span>${t('product.share')}</span>
+                </button>
+            </div>
+        </div>
+    </div>
+</div>
+        `;
+    }
+}
+
+// Loads products.json once per page and shares the result
+class ProductCatalog {
+    static load(url = 'products.json') {
+        if (!ProductCatalog.request) {
+            ProductCatalog.request = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to load products');
+                    return response.json();
+                })
+                // Prices depend on the promotions and the exchange rates, so all must be ready
+                .then(data => Promise.all([PromotionEngine.load(), CurrencyConverter.load()])
+                    .then(() => data.map(item => Product.fromJSON(item))))
+                .catch(error => {
+                    // Allow a later call to retry
+                    ProductCatalog.request = null;
+                    throw error;
+                });
+        }
+        return ProductCatalog.request;
+    }
+
+    // Ids arrive as numbers from products.json and as strings from the URL and data attributes
+    static findById(products, id) {
+        return products.find(p => p.id === Number(id));
+    }
+
+    // Suggestions for the popup: { similar, complementary }.
+    // Hand-picked `related` ids come first, then the same category and then
+    // the `complementary` categories in categories.json, each closest in price
+    // first. Sold out items are skipped.
+    static getRecommendations(products, product, categories = [], limit = 4) {
+        const used = new Set([product.id]);
+        const take = (candidates, count) => {
+            const picked = candidates.filter(p => p && !used.has(p.id) && !p.isSoldOut()).slice(0, count);
+            picked.forEach(p => used.add(p.id));
+            return picked;
+        };
+
+        // Ratio rather than difference, so Rp 50K vs 100K is as far apart as 500K vs 1M
+        const price = product.calculateDiscountedPrice() || 1;
+        const priceDistance = (p) => Math.abs(Math.log((p.calculateDiscountedPrice() || 1) / price));
+        const byPrice = (list) => [...list].sort((a, b) => priceDistance(a) - priceDistance(b));
+
+        const curated = take(product.related.map(id => ProductCatalog.findById(products, id)), limit);
+        const similar = curated.concat(take(
+            byPrice(products.filter(p => p.category === product.category)),
+            limit - curated.length
+        ));
+
+        const category = CategoryCatalog.findByName(categories, product.category);
+        const complementaryCategories = (category ? category.complementary : [])
+            .map(slug => CategoryCatalog.find(categories, slug))
+            .filter(complement => complement && complement.visible)
+            .map(complement => complement.name);
+        // Alternate between the categories so one does not fill every slot
+        const perCategory = complementaryCategories.map(category =>
+            byPrice(products.filter(p => p.category === category)).filter(p => !used.has(p.id) && !p.isSoldOut())
+        );
+        const interleaved = [];
+        for (let i = 0; perCategory.some(list => i < list.length); i++) {
+            perCategory.forEach(list => { if (list[i]) interleaved.push(list[i]); });
+        }
+        const complementary = take(interleaved, limit);
+
+        return { similar, complementary };
+    }
+}
+
+// Renders a product popup into the popup container and wires its controls.
+// An open popup is part of the page URL (?product=<id>), so it can be shared
+// and the back button closes it. It behaves as a modal dialog (dialog.js).
+class ProductPopupView {
+    constructor() {
+        this.popupContainer = document.getElementById('popup-container');
+        this.currentProduct = null;
+        this.dialog = null;
+        this.products = []; // For recommendations, see setProducts()
+        this.categories = [];
+
+        // Create popup container if it doesn't exist
+        if (!this.popupContainer) {
+            this.popupContainer = document.createElement('div');
+            this.popupContainer.id = 'popup-container';
+            document.body.appendChild(this.popupContainer);
+        }
+
+        document.addEventListener('languagechange', () => this.rerender());
+    }
+
+    // Builds the open popup again, e.g. in a new language, keeping the chosen size
+    rerender() {
+        if (!this.currentProduct) return;
+
+        const selected = this.popupContainer.querySelector('.size-tag.selected');
+        const size = selected ? selected.dataset.size : null;
+        this.show(this.currentProduct, { updateHistory: false });
+
+        if (size !== null) {
+            const tag = this.popupContainer.querySelector(`.size-tag[data-size="${CSS.escape(size)}"]`);
+            if (tag) tag.click();
+        }
+    }
+
+    // categories: for the "Complete the look" suggestions
+    setProducts(products, categories = []) {
+        this.products = products;
+        this.categories = categories;
+    }
+
+    // options.updateHistory: false when the URL already points at this product
+    // options.opener: element that gets the focus back on close, e.g. the card
+    show(product, options = {}) {
+        // Switching to another product keeps the element to return to
+        const opener = this.dialog ? this.dialog.opener : (options.opener || document.activeElement);
+        const switching = this.currentProduct !== null;
+        this.close({ updateHistory: false, restoreFocus: false });
+        product.currentImageIndex = 0;
+        this.currentProduct = product;
+
+        if (window.recentlyViewed) {
+            window.recentlyViewed.record(product.id);
+        }
+
+        if (options.updateHistory !== false) {
+            this.pushProductURL(product, switching);
+        }
+
+        this.popupContainer.innerHTML = product.createPopupHTML();
+        const popup = this.popupContainer.querySelector('.product-popup');
+        popup.querySelector('.popup-details').insertAdjacentHTML('beforeend', this.createRecommendationsHTML(product));
+
+        // Prevent body scroll
+        document.body.classList.add('popup-open');
+
+        const dialog = new AccessibleDialog(popup.querySelector('.popup-content'), {
+            labelledBy: `popup-title-${product.id}`,
+            initialFocus: '.close-popup',
+            onClose: () => this.close()
+        });
+        this.dialog = dialog;
+
+        requestAnimationFrame(() => {
+            // Closed again before the first frame
+            if (this.dialog !== dialog) return;
+
+            popup.classList.add('active');
+            // Hidden elements cannot take focus, so this waits for .active
+            dialog.open(opener);
+        });
+
+        this.addEventListeners(popup, product);
+    }
+
+    close(options = {}) {
+        const popup = this.popupContainer.querySelector('.product-popup');
+        if (popup) {
+            popup.classList.remove('active');
+            document.body.classList.remove('popup-open');
+
+            // Remove from DOM after animation - only this popup, a new one may already be showing
+            setTimeout(() => {
+                if (popup.classList.contains('active') === false) {
+                    popup.remove();
+                }
+                // Closed for good rather than switching products: show the new views
+                if (!this.isOpen() && window.recentlyViewed) {
+                    window.recentlyViewed.refresh();
+                }
+            }, 300);
+        }
+
+        if (this.dialog) {
+            this.dialog.close({ restoreFocus: options.restoreFocus });
+            this.dialog = null;
+        }
+
+        if (this.currentProduct && options.updateHistory !== false) {
+            this.removeProductFromURL();
+        }
+        this.currentProduct = null;
+    }
+
+    isOpen() {
+        return this.currentProduct !== null;
+    }
+
+    createRecommendationsHTML(product) {
+        if (this.products.length === 0) return '';
+
+        const { similar, complementary } = ProductCatalog.getRecommendations(this.products, product, this.categories);
+        const group = (title, items) => items.length === 0 ? '' : `
+            <div class="recommendation-group">
+                <h3>${title}</h3>
+                <div class="recommendation-list">
+                    ${items.map(item => `
+                        <button type="button" class="recommendation" data-id="${item.id}">
+                            <img src="${item.images[0] || PLACEHOLDER_IMAGE}" alt="" loading="lazy">
+                            <span class="recommendation-name">${item.getName()}</span>
+                            <span class="recommendation-price" data-price="${item.calculateDiscountedPrice()}">${item.formatPrice(item.calculateDiscountedPrice())}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        const html = group(t('product.youMayLike'), similar) + group(t('product.completeLook'), complementary);
+        return html ? `<div class="popup-recommendations">${html}</div>` : '';
+    }
+
+    // Shareable link to the current page with this product open
+    getProductURL(product) {
+        const url = new URL(window.location);
+        url.searchParams.set('product', product.id);
+        url.hash = '';
+        return url.toString();
+    }
+
+    // replace: another popup is open, e.g. a recommendation was clicked
+    pushProductURL(product, replace = false) {
+        const url = this.getProductURL(product);
+
+        // Switching from one product to another keeps a single history entry.
+        // The entry keeps its state, so one that came from a shared link
+        // (no productPopup) is still closed without history.back()
+        if (replace || (history.state && history.state.productPopup)) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState({ productPopup: product.id }, '', url);
+        }
+    }
+
+    removeProductFromURL() {
+        const url = new URL(window.location);
+        if (!url.searchParams.has('product')) return;
+
+        if (history.state && history.state.productPopup) {
+            // Drop the entry pushed when the popup opened
+            history.back();
+        } else {
+            // Page was opened from a shared link: keep the entry, just drop the product
+            url.searchParams.delete('product');
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    // Opens or closes the popup to match the URL, e.g. after back/forward
+    syncWithURL(products) {
+        const productId = new URLSearchParams(window.location.search).get('product');
+        const product = productId ? ProductCatalog.findById(products, productId) : null;
+
+        if (product) {
+            if (!this.currentProduct || this.currentProduct.id !== product.id) {
+                this.show(product, { updateHistory: false });
+            }
+        } else if (this.currentProduct) {
+            this.close({ updateHistory: false });
+        }
+    }
+
+    // Web Share API where available (mostly phones), clipboard otherwise
+    shareProduct(product, button) {
+        return shareLink({
+            title: product.getName(),
+            text: `${product.getName()} - ATHNA`,
+            url: this.getProductURL(product)
+        }, button);
+    }
+
+    addEventListeners(popup, product) {
+        const closeBtn = popup.querySelector('.close-popup');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.close();
+            });
+        }
+
+        // Close popup when clicking outside
+        popup.addEventListener('click', (e) => {
+            if (e.target === popup) {
+                this.close();
+            }
+        });
+
+        const shareBtn = popup.querySelector('.share-product-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.shareProduct(product, shareBtn);
+            });
+        }
+
+        // Swap the popup to the suggested product
+        popup.querySelectorAll('.recommendation[data-id]').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const next = ProductCatalog.findById(this.products, item.dataset.id);
+                if (next) this.show(next);
+            });
+        });
+
+        this.addOrderEventListeners(popup, product);
+        this.addImageEventListeners(popup, product);
+    }
+
+    // Size selection, WhatsApp order and add to cart
+    addOrderEventListeners(popup, product) {
+        // Sold out items only offer the restock link
+        if (product.isSoldOut()) return;
+
+        let selectedSize = null;
+        const orderBtn = popup.querySelector('.whatsapp-order-btn');
+        const addToCartBtn = popup.querySelector('.add-to-cart-btn');
+        const sizeHint = popup.querySelector('.size-hint');
+        const sizeTags = popup.querySelectorAll('.size-tag[data-size]');
+
+        const updateOrderState = () => {
+            const ready = !product.requiresSizeSelection() || selectedSize !== null;
+
+            if (orderBtn) orderBtn.href = product.getOrderURL(selectedSize);
+
+            [orderBtn, addToCartBtn].forEach(btn => {
+                if (!btn) return;
+                btn.classList.toggle('disabled', !ready);
+                btn.setAttribute('aria-disabled', String(!ready));
+            });
+
+            if (ready && sizeHint) sizeHint.classList.remove('visible');
+        };
+
+        // Both order actions stay focusable while disabled so they can explain why
+        const blockUntilSizeSelected = (e) => {
+            if (!e.currentTarget.classList.contains('disabled')) return false;
+
+            e.preventDefault();
+            if (sizeHint) sizeHint.classList.add('visible');
+            const firstAvailable = Array.from(sizeTags).find(tag => !tag.disabled);
+            if (firstAvailable) firstAvailable.focus();
+            return true;
+        };
+
+        sizeTags.forEach(tag => {
+            tag.addEventListener('click', (e) => {
+                e.stopPropagation();
+                selectedSize = tag.dataset.size;
+
+                sizeTags.forEach(other => {
+                    other.classList.toggle('selected', other === tag);
+                    other.setAttribute('aria-pressed', String(other === tag));
+                });
+                updateOrderState();
+            });
+        });
+
+        if (orderBtn) {
+            orderBtn.addEventListener('click', (e) => {
+                if (blockUntilSizeSelected(e)) return;
+                // The currency may have changed since the popup opened
+                orderBtn.href = product.getOrderURL(selectedSize);
+            });
+        }
+
+        if (addToCartBtn) {
+            addToCartBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (blockUntilSizeSelected(e) || !window.shoppingCart) return;
+
+                window.shoppingCart.addItem(product.getCartItem(selectedSize));
+
+                // Short confirmation before restoring the label
+                addToCartBtn.classList.add('added');
+                addToCartBtn.innerHTML = `<i class="fas fa-check"></i> ${t('product.addedToCart')}`;
+                setTimeout(() => {
+                    addToCartBtn.classList.remove('added');
+                    addToCartBtn.innerHTML = `<i class="fas fa-shopping-bag"></i> ${t('product.addToCart')}`;
+                }, 1500);
+            });
+        }
+    }
+
+    addImageEventListeners(popup, product) {
+        new PopupGallery(popup, product);
+    }
+}
+
+// Image gallery of one open popup: thumbnails, prev/next, arrow keys, swipe,
+// and zoom (hover with a mouse, pinch or double-tap on touch screens).
+// Every listener is on the popup's own elements and goes away with it.
+class PopupGallery {
+    constructor(popup, product) {
+        this.popup = popup;
+        this.product = product;
+        this.stage = popup.querySelector('.gallery-stage');
+        this.image = popup.querySelector(`#main-image-${product.id}`);
+        this.thumbnails = popup.querySelectorAll('.thumbnail');
+        this.counter = popup.querySelector('.gallery-counter');
+
+        this.maxScale = 3;
+        this.swipeThreshold = 40; // px
+        this.doubleTapDelay = 300; // ms
+        this.zoom = { scale: 1, x: 50, y: 50 }; // transform-origin in percent
+
+        this.touch = null;
+        this.lastTapTime = 0;
+
+        if (!this.stage || !this.image) return;
+
+        this.setupNavigation();
+        this.setupHoverZoom();
+        this.setupTouch();
+        this.preloadNext();
+    }
+
+    hasMultipleImages() {
+        return this.product.hasMultipleImages();
+    }
+
+    showImage(index) {
+        const count = this.product.images.length;
+        this.product.currentImageIndex = (index + count) % count;
+
+        this.resetZoom();
+        this.image.src = this.product.images[this.product.currentImageIndex];
+
+        this.thumbnails.forEach((thumb, i) => {
+            const active = i === this.product.currentImageIndex;
+            thumb.classList.toggle('active', active);
+            thumb.setAttribute('aria-current', String(active));
+        });
+
+        if (this.counter) {
+            this.counter.textContent = `${this.product.currentImageIndex + 1} / ${count}`;
+        }
+
+        this.preloadNext();
+    }
+
+    next() {
+        if (this.hasMultipleImages()) this.showImage(this.product.currentImageIndex + 1);
+    }
+
+    previous() {
+        if (this.hasMultipleImages()) this.showImage(this.product.currentImageIndex - 1);
+    }
+
+    // The browser caches it, so the next click or swipe shows it at once
+    preloadNext() {
+        if (!this.hasMultipleImages()) return;
+
+        const nextIndex = (this.product.currentImageIndex + 1) % this.product.images.length;
+        new Image().src = this.product.images[nextIndex];
+    }
+
+    setupNavigation() {
+        const prevBtn = this.popup.querySelector('.prev-btn');
+        const nextBtn = this.popup.querySelector('.next-btn');
+
+        if (prevBtn) {
+            prevBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.previous();
+            });
+        }
+
+        if (nextBtn) {
+            nextBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.next();
+            });
+        }
+
+        this.thumbnails.forEach(thumb => {
+            const select = (e) => {
+                e.stopPropagation();
+                this.showImage(parseInt(thumb.dataset.index));
+            };
+            thumb.addEventListener('click', select);
+            thumb.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    select(e);
+                }
+            });
+        });
+
+        if (!this.hasMultipleImages()) return;
+
+        // Focus stays inside the open popup, so listening there is enough
+        this.popup.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, textarea, select')) return;
+
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.previous();
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.next();
+            }
+        });
+    }
+
+    applyZoom() {
+        const { scale, x, y } = this.zoom;
+        this.image.style.transformOrigin = `${x}% ${y}%`;
+        this.image.style.transform = scale > 1 ? `scale(${scale})` : '';
+        this.stage.classList.toggle('zoomed', scale > 1);
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 50, y: 50 };
+        this.applyZoom();
+    }
+
+    // Point (clientX, clientY) as a percentage of the image box
+    getImagePoint(clientX, clientY) {
+        const rect = this.image.getBoundingClientRect();
+        const clamp = (value) => Math.min(100, Math.max(0, value));
+        return {
+            x: clamp((clientX - rect.left) / rect.width * 100),
+            y: clamp((clientY - rect.top) / rect.height * 100)
+        };
+    }
+
+    // Mouse users get a magnifier that follows the pointer
+    setupHoverZoom() {
+        if (!window.matchMedia || !window.matchMedia('(hover: hover) and (pointer: fine)').matches) return;
+
+        this.stage.addEventListener('mousemove', (e) => {
+            if (e.target !== this.image) {
+                if (this.zoom.scale > 1) this.resetZoom();
+                return;
+            }
+            this.zoom = { scale: 2, ...this.getImagePoint(e.clientX, e.clientY) };
+            this.applyZoom();
+        });
+
+        this.stage.addEventListener('mouseleave', () => this.resetZoom());
+    }
+
+    setupTouch() {
+        const distance = (touches) => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+
+        this.stage.addEventListener('touchstart', (e) => {
+            if (e.target.closest('button')) return;
+
+            if (e.touches.length === 2) {
+                const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+                const midY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
+                this.touch = {
+                    pinch: true,
+                    startDistance: distance(e.touches),
+                    startScale: this.zoom.scale,
+                    origin: this.zoom.scale > 1 ? { x: this.zoom.x, y: this.zoom.y } : this.getImagePoint(midX, midY)
+                };
+            } else if (e.touches.length === 1) {
+                this.touch = {
+                    pinch: false,
+                    startX: e.touches[0].clientX,
+                    startY: e.touches[0].clientY,
+                    startOrigin: { x: this.zoom.x, y: this.zoom.y }
+                };
+            }
+        }, { passive: true });
+
+        this.stage.addEventListener('touchmove', (e) => {
+            if (!this.touch) return;
+
+            if (this.touch.pinch && e.touches.length === 2) {
+                e.preventDefault();
+                const scale = this.touch.startScale * distance(e.touches) / this.touch.startDistance;
+                this.zoom = { scale: Math.min(this.maxScale, Math.max(1, scale)), ...this.touch.origin };
+                this.applyZoom();
+            } else if (!this.touch.pinch && this.zoom.scale > 1 && e.touches.length === 1) {
+                // Pan the zoomed image by moving the zoom origin against the finger
+                e.preventDefault();
+                const rect = this.image.getBoundingClientRect();
+                const dx = (e.touches[0].clientX - this.touch.startX) / rect.width * 100;
+                const dy = (e.touches[0].clientY - this.touch.startY) / rect.height * 100;
+                const clamp = (value) => Math.min(100, Math.max(0, value));
+                this.zoom.x = clamp(this.touch.startOrigin.x - dx);
+                this.zoom.y = clamp(this.touch.startOrigin.y - dy);
+                this.applyZoom();
+            }
+        }, { passive: false });
+
+        this.stage.addEventListener('touchend', (e) => {
+            const touch = this.touch;
+            if (!touch || e.touches.length > 0) return;
+            this.touch = null;
+
+            if (touch.pinch) {
+                if (this.zoom.scale < 1.1) this.resetZoom();
+                return;
+            }
+
+            const end = e.changedTouches[0];
+            const dx = end.clientX - touch.startX;
+            const dy = end.clientY - touch.startY;
+
+            // Swipe between images, only when not zoomed in
+            if (this.zoom.scale === 1 && Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                dx < 0 ? this.next() : this.previous();
+                return;
+            }
+
+            // Double-tap toggles zoom at the tapped point
+            if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+                const now = Date.now();
+                if (now - this.lastTapTime < this.doubleTapDelay) {
+                    this.lastTapTime = 0;
+                    if (this.zoom.scale > 1) {
+                        this.resetZoom();
+                    } else {
+                        this.zoom = { scale: 2.5, ...this.getImagePoint(end.clientX, end.clientY) };
+                        this.applyZoom();
+                    }
+                } else {
+                    this.lastTapTime = now;
+                }
+            }
+        });
+    }
+}
@@ -0,0 +1,102 @@
+// Shop categories from categories.json (needs i18n.js). The file is the only
+// list of categories: its order drives the landing rows, the category links
+// and next/previous browsing on Products.html. Links use the slug
+// (?category=caps-hats); the old links with the category name still work.
+// Elements with data-category-links="<link class>" are filled with a link to
+// every visible category.
+
+// One entry of categories.json; `name` is the value used in products.json
+class Category {
+    constructor(data) {
+        this.name = data.name;
+        this.slug = data.slug;
+        this.title = data.title || data.name;
+        this.sliderId = data.sliderId || `${data.slug}-slider`;
+        this.image = data.image || '';
+        this.visible = data.visible !== false; // Hidden ones are left out of every list
+        this.aliases = Array.isArray(data.aliases) ? data.aliases : []; // Earlier names or slugs
+        // Slugs suggested under "Complete the look", best match first
+        this.complementary = Array.isArray(data.complementary) ? data.complementary : [];
+        this.translations = data.translations && typeof data.translations === 'object' ? data.translations : {};
+    }
+
+    getTitle() {
+        const translation = this.translations[I18n.getLanguage()];
+        return (translation && translation.title) || this.title;
+    }
+
+    getURL() {
+        return `./Products.html?category=${encodeURIComponent(this.slug)}`;
+    }
+
+    // Slug, name or alias as found in a link, ignoring case and spacing
+    matches(value) {
+        const key = CategoryCatalog.normalize(value);
+        return [this.slug, this.name, ...this.aliases].some(candidate => CategoryCatalog.normalize(candidate) === key);
+    }
+}
+
+// Loads categories.json once per page
+class CategoryCatalog {
+    static load(url = 'categories.json') {
+        if (!CategoryCatalog.request) {
+            CategoryCatalog.request = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to load categories');
+                    return response.json();
+                })
+                .then(data => data.map(item => new Category(item)))
+                .catch(error => {
+                    // Allow a later call to retry
+                    CategoryCatalog.request = null;
+                    throw error;
+                });
+        }
+        return CategoryCatalog.request;
+    }
+
+    static getVisible(categories) {
+        return categories.filter(category => category.visible);
+    }
+
+    // Products whose category is in the file and not hidden
+    static getVisibleProducts(categories, products) {
+        return products.filter(product => {
+            const category = CategoryCatalog.findByName(categories, product.category);
+            return category !== null && category.visible;
+        });
+    }
+
+    static find(categories, value) {
+        if (!value) return null;
+        return categories.find(category => category.matches(value)) || null;
+    }
+
+    static findByName(categories, name) {
+        return categories.find(category => category.name === name) || null;
+    }
+
+    static normalize(value) {
+        return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+}
+
+function renderCategoryLinks(categories) {
+    document.querySelectorAll('[data-category-links]').forEach(container => {
+        const className = container.dataset.categoryLinks;
+        container.innerHTML = CategoryCatalog.getVisible(categories)
+            .map(category => `<a href="${category.getURL()}" class="${className}">${t('category.collection', { title: category.getTitle() })}</a>`)
+            .join('');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.querySelector('[data-category-links]')) return;
+
+    CategoryCatalog.load()
+        .then(categories => {
+            renderCategoryLinks(categories);
+            document.addEventListener('languagechange', () => renderCategoryLinks(categories));
+        })
+        .catch(error => console.error('Failed to load categories.json', error));
+});
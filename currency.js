@@ -0,0 +1,151 @@
+// Currency switcher: shows prices in the visitor's currency using the rates
+// in currencies.json. Products, promotions and orders stay in IDR; the chosen
+// currency only changes how an amount is displayed. Loaded before
+// promotions.js and catalog.js, whose price formatting goes through it.
+
+const BASE_CURRENCY = 'IDR';
+const CURRENCY_STORAGE_KEY = 'athnaCurrency';
+
+// One entry of currencies.json; rate is how many IDR one unit is worth
+class Currency {
+    constructor(data) {
+        this.code = String(data.code || '').toUpperCase();
+        this.label = data.label || this.code;
+        this.rate = Number(data.rate) || 0;
+        this.locale = data.locale || 'en-US';
+        this.decimals = Number.isInteger(data.decimals) ? data.decimals : 2;
+    }
+
+    // Rounded to the currency's own smallest unit
+    convert(amount) {
+        const factor = Math.pow(10, this.decimals);
+        return Math.round(amount / this.rate * factor) / factor;
+    }
+
+    format(amount) {
+        return new Intl.NumberFormat(this.locale, {
+            style: 'currency',
+            currency: this.code,
+            minimumFractionDigits: this.decimals,
+            maximumFractionDigits: this.decimals
+        }).format(this.convert(amount));
+    }
+}
+
+// Loads currencies.json once per page and remembers the visitor's choice
+class CurrencyConverter {
+    static load(url = 'currencies.json') {
+        if (!CurrencyConverter.request) {
+            CurrencyConverter.request = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to load exchange rates');
+                    return response.json();
+                })
+                .then(data => CurrencyConverter.setCurrencies(data.currencies))
+                .catch(error => {
+                    // Prices are still shown in IDR
+                    console.warn('Exchange rates not available:', error);
+                    return CurrencyConverter.setCurrencies([]);
+                });
+        }
+        return CurrencyConverter.request;
+    }
+
+    static setCurrencies(data) {
+        const currencies = (Array.isArray(data) ? data : [])
+            .map(item => new Currency(item))
+            .filter(currency => currency.code && currency.rate > 0 && currency.code !== BASE_CURRENCY);
+
+        CurrencyConverter.currencies = [
+            new Currency({ code: BASE_CURRENCY, label: 'Rp IDR', rate: 1, locale: 'id-ID', decimals: 0 }),
+            ...currencies
+        ];
+        return CurrencyConverter.currencies;
+    }
+
+    static getCurrencies() {
+        return CurrencyConverter.currencies || [];
+    }
+
+    static getCode() {
+        try {
+            return localStorage.getItem(CURRENCY_STORAGE_KEY) || BASE_CURRENCY;
+        } catch (error) {
+            return BASE_CURRENCY;
+        }
+    }
+
+    static setCode(code) {
+        try {
+            localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+        } catch (error) {
+            console.warn('Could not save the currency:', error);
+        }
+        document.dispatchEvent(new CustomEvent('currencychange', { detail: { code } }));
+    }
+
+    // The chosen foreign currency, or null while showing IDR (also before the
+    // rates are loaded or when the saved code is no longer in the file)
+    static getSelected() {
+        const code = CurrencyConverter.getCode();
+        if (code === BASE_CURRENCY) return null;
+        return CurrencyConverter.getCurrencies().find(currency => currency.code === code) || null;
+    }
+
+    static isBase() {
+        return CurrencyConverter.getSelected() === null;
+    }
+
+    // IDR amount in the chosen currency, e.g. "$9.15"
+    static format(price) {
+        const currency = CurrencyConverter.getSelected();
+        return currency ? currency.format(price) : '';
+    }
+}
+
+// Rewrites every rendered price (elements with data-price="<IDR amount>")
+// so cards, sliders and an open popup follow the switcher without re-rendering
+function updateDisplayedPrices(root = document) {
+    root.querySelectorAll('[data-price]').forEach(el => {
+        const price = Number(el.dataset.price);
+        el.textContent = el.hasAttribute('data-price-short') ? formatShortPrice(price) : formatPrice(price);
+    });
+}
+
+function renderCurrencySelects() {
+    const code = CurrencyConverter.isBase() ? BASE_CURRENCY : CurrencyConverter.getCode();
+
+    document.querySelectorAll('.currency-select').forEach(select => {
+        select.innerHTML = CurrencyConverter.getCurrencies()
+            .map(currency => `<option value="${currency.code}">${currency.label}</option>`)
+            .join('');
+        select.value = code;
+        select.closest('.currency-switcher').hidden = CurrencyConverter.getCurrencies().length < 2;
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.currency-select').forEach(select => {
+        select.addEventListener('change', () => CurrencyConverter.setCode(select.value));
+    });
+
+    document.addEventListener('currencychange', () => {
+        renderCurrencySelects();
+        updateDisplayedPrices();
+    });
+
+    // Keep several open tabs in sync
+    window.addEventListener('storage', (e) => {
+        if (e.key === CURRENCY_STORAGE_KEY) {
+            document.dispatchEvent(new CustomEvent('currencychange', { detail: { code: CurrencyConverter.getCode() } }));
+        }
+    });
+
+    CurrencyConverter.load().then(() => {
+        renderCurrencySelects();
+        // Anything rendered before the rates arrived was shown in IDR
+        if (!CurrencyConverter.isBase()) {
+            document.dispatchEvent(new CustomEvent('currencychange', { detail: { code: CurrencyConverter.getCode() } }));
+        }
+    });
+});
@@ -0,0 +1,135 @@
+// Accessible modal dialog behaviour shared by the product popup and the cart.
+// open() marks the element as an aria-modal dialog, makes the rest of the
+// page inert, moves focus inside and keeps Tab there; close() undoes all of
+// it and returns focus to whatever opened the dialog. Keyboard handling is
+// attached to the dialog element itself, so nothing outlives it.
+
+// Elements that can take keyboard focus
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+class AccessibleDialog {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            label: '', // Used when there is no visible title
+            labelledBy: '', // id of the visible title
+            onClose: null, // Called on Escape; the owner decides how to close
+            initialFocus: null, // Element or selector focused on open
+            keepInteractive: [], // Elements outside the dialog that stay usable, e.g. a backdrop
+            ...options
+        };
+
+        this.opener = null;
+        this.inertElements = [];
+        this.isOpen = false;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    // opener: element to focus again on close, defaults to the focused element
+    open(opener = document.activeElement) {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.opener = opener && opener !== document.body ? opener : null;
+
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        if (this.options.labelledBy) {
+            this.element.setAttribute('aria-labelledby', this.options.labelledBy);
+        } else if (this.options.label) {
+            this.element.setAttribute('aria-label', this.options.label);
+        }
+        if (!this.element.hasAttribute('tabindex')) {
+            this.element.setAttribute('tabindex', '-1');
+        }
+
+        this.setBackgroundInert(true);
+        this.element.addEventListener('keydown', this.handleKeydown);
+        this.focusInitialElement();
+    }
+
+    close(options = {}) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        this.element.removeEventListener('keydown', this.handleKeydown);
+        this.element.removeAttribute('aria-modal');
+        this.setBackgroundInert(false);
+
+        if (options.restoreFocus !== false && this.opener && this.opener.isConnected) {
+            this.opener.focus();
+        }
+        this.opener = null;
+    }
+
+    // Everything at <body> level except the dialog's own branch
+    setBackgroundInert(inert) {
+        if (!inert) {
+            this.inertElements.forEach(el => el.removeAttribute('inert'));
+            this.inertElements = [];
+            return;
+        }
+
+        let root = this.element;
+        while (root.parentElement && root.parentElement !== document.body) {
+            root = root.parentElement;
+        }
+
+        Array.from(document.body.children).forEach(el => {
+            if (el === root || el.hasAttribute('inert')) return;
+            if (['SCRIPT', 'STYLE', 'LINK'].includes(el.tagName)) return;
+            if (this.options.keepInteractive.includes(el)) return;
+
+            el.setAttribute('inert', '');
+            this.inertElements.push(el);
+        });
+    }
+
+    getFocusableElements() {
+        return Array.from(this.element.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(el => !el.closest('[inert]') && el.getClientRects().length > 0);
+    }
+
+    focusInitialElement() {
+        let target = this.options.initialFocus;
+        if (typeof target === 'string') target = this.element.querySelector(target);
+        if (!target) target = this.getFocusableElements()[0] || this.element;
+
+        // Without preventScroll the popup's open animation jumps
+        target.focus({ preventScroll: true });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            if (this.options.onClose) this.options.onClose();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.element)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
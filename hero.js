@@ -0,0 +1,320 @@
+// Hero slideshow on index.html, configured in hero.json (needs i18n.js, and
+// promotions.js for the date range). A slide is an image with optional smaller
+// versions per breakpoint, an optional caption and link to a category or
+// product, and can be limited to a date range like a promotion. The first
+// image is in the markup, so the hero is never empty while loading.
+
+const HERO_SWIPE_DISTANCE = 50; // Horizontal px a touch must travel to change slides
+
+// One entry of hero.json
+class HeroSlide {
+    constructor(data) {
+        this.image = data.image;
+        // [{ maxWidth, image }]: used on screens up to maxWidth px wide
+        this.sources = Array.isArray(data.sources) ? data.sources : [];
+        this.alt = data.alt || '';
+        this.caption = data.caption || '';
+        // { category: slug } or { product: id } or { href }, with an optional label
+        this.link = data.link && typeof data.link === 'object' ? data.link : null;
+        // Optional { id: { caption, label } }; caption and link label are English
+        this.translations = data.translations && typeof data.translations === 'object' ? data.translations : {};
+        // Only the dates are used, so a slide runs exactly when a promotion would
+        this.schedule = new Promotion({ start: data.start, end: data.end });
+    }
+
+    isActive(date = new Date()) {
+        return this.schedule.isActive(date);
+    }
+
+    getCaption() {
+        const translation = this.translations[I18n.getLanguage()];
+        return (translation && translation.caption) || this.caption;
+    }
+
+    getLinkLabel() {
+        const translation = this.translations[I18n.getLanguage()];
+        return (translation && translation.label) || (this.link && this.link.label) || t('hero.explore');
+    }
+
+    getURL() {
+        if (!this.link) return '';
+        if (this.link.category) return `./Products.html?category=${encodeURIComponent(this.link.category)}`;
+        if (this.link.product) return `./Products.html?product=${encodeURIComponent(this.link.product)}`;
+        return this.link.href || '';
+    }
+
+    createHTML() {
+        // Smallest first, as the browser takes the first source that matches
+        const sources = [...this.sources]
+            .sort((a, b) => a.maxWidth - b.maxWidth)
+            .map(source => `<source media="(max-width: ${source.maxWidth}px)" srcset="${source.image}">`)
+            .join('');
+
+        return `
+            <picture class="hero-bg" role="group" aria-roledescription="slide">
+                ${sources}
+                <img src="${this.image}" alt="${this.alt}" decoding="async">
+            </picture>
+        `;
+    }
+}
+
+class HeroSlideshow {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            url: element.dataset.heroSlides || 'hero.json',
+            interval: 3500,
+            ...options
+        };
+
+        this.slidesContainer = element.querySelector('.hero-slides');
+        this.caption = element.querySelector('.hero-caption');
+        this.cta = element.querySelector('.hero-btn');
+        this.defaultURL = this.cta ? this.cta.getAttribute('href') : '';
+
+        this.slides = [];
+        this.currentIndex = 0;
+        this.timer = null;
+        this.touchStartX = null;
+
+        // Autoplay only runs while this is empty: 'user' (pause button or
+        // reduced motion), 'hover', 'focus', 'touch' and 'hidden'
+        this.pauseReasons = new Set();
+    }
+
+    async init() {
+        try {
+            const response = await fetch(this.options.url);
+            if (!response.ok) throw new Error('Failed to load hero slides');
+            const data = await response.json();
+
+            if (Number(data.interval) > 0) this.options.interval = Number(data.interval);
+            this.slides = (Array.isArray(data.slides) ? data.slides : [])
+                .map(item => new HeroSlide(item))
+                .filter(slide => slide.image && slide.isActive());
+        } catch (error) {
+            // The image in the markup stays
+            console.error('Error loading hero slides:', error);
+            return;
+        }
+
+        if (this.slides.length === 0) return;
+
+        this.render();
+        this.setupEventListeners();
+        this.show(0, false);
+    }
+
+    render() {
+        this.slidesContainer.innerHTML = this.slides.map(slide => slide.createHTML()).join('');
+        this.slideElements = Array.from(this.slidesContainer.querySelectorAll('.hero-bg'));
+
+        if (this.slides.length < 2) return;
+
+        this.element.setAttribute('aria-roledescription', t('slider.carousel'));
+        this.element.insertAdjacentHTML('beforeend', `
+            <button type="button" class="hero-arrow hero-prev"><i class="fas fa-chevron-left" aria-hidden="true"></i></button>
+            <button type="button" class="hero-arrow hero-next"><i class="fas fa-chevron-right" aria-hidden="true"></i></button>
+            <div class="hero-controls">
+                <div class="hero-dots" role="group">
+                    ${this.slides.map(() => '<button type="button" class="hero-dot"></button>').join('')}
+                </div>
+                <button type="button" class="hero-toggle"></button>
+            </div>
+            <div class="visually-hidden hero-status" aria-live="polite" aria-atomic="true"></div>
+        `);
+
+        this.dots = Array.from(this.element.querySelectorAll('.hero-dot'));
+        this.toggle = this.element.querySelector('.hero-toggle');
+        this.status = this.element.querySelector('.hero-status');
+    }
+
+    // All texts that depend on the language
+    updateLabels() {
+        const total = this.slides.length;
+        this.slideElements.forEach((el, i) => {
+            el.setAttribute('aria-label', t('slider.position', { index: i + 1, total }));
+        });
+
+        if (this.dots) {
+            this.element.querySelector('.hero-prev').setAttribute('aria-label', t('hero.previous'));
+            this.element.querySelector('.hero-next').setAttribute('aria-label', t('hero.next'));
+            this.element.querySelector('.hero-dots').setAttribute('aria-label', t('hero.choose'));
+            this.dots.forEach((dot, i) => dot.setAttribute('aria-label', t('hero.goTo', { index: i + 1 })));
+        }
+
+        this.updateSlideContent();
+        this.updateToggle();
+    }
+
+    // Caption and button of the current slide; slides without a link keep the default button
+    updateSlideContent() {
+        const slide = this.slides[this.currentIndex];
+        const caption = slide.getCaption();
+
+        if (this.caption) {
+            this.caption.textContent = caption;
+            this.caption.hidden = caption === '';
+        }
+        if (this.cta) {
+            this.cta.href = slide.getURL() || this.defaultURL;
+            this.cta.textContent = slide.link ? slide.getLinkLabel() : t('hero.explore');
+            this.cta.dataset.productId = slide.link && slide.link.product ? slide.link.product : '';
+        }
+    }
+
+    // announce: tell screen readers, for changes the visitor made
+    show(index, announce = true) {
+        const total = this.slides.length;
+        this.currentIndex = (index + total) % total;
+
+        this.slideElements.forEach((el, i) => {
+            const current = i === this.currentIndex;
+            el.classList.toggle('visible', current);
+            el.setAttribute('aria-hidden', current ? 'false' : 'true');
+        });
+
+        if (this.dots) {
+            this.dots.forEach((dot, i) => {
+                dot.classList.toggle('active', i === this.currentIndex);
+                if (i === this.currentIndex) {
+                    dot.setAttribute('aria-current', 'true');
+                } else {
+                    dot.removeAttribute('aria-current');
+                }
+            });
+        }
+
+        this.updateLabels();
+
+        if (announce && this.status) {
+            const slide = this.slides[this.currentIndex];
+            this.status.textContent = slide.getCaption() || t('slider.position', { index: this.currentIndex + 1, total });
+        }
+    }
+
+    // Manual changes restart the wait for the next automatic one
+    goTo(index) {
+        this.show(index);
+        this.updateAutoplay();
+    }
+
+    setupEventListeners() {
+        document.addEventListener('languagechange', () => this.updateLabels());
+
+        // Product links open the popup right here instead of leaving the page
+        if (this.cta) {
+            this.cta.addEventListener('click', (e) => {
+                if (!this.cta.dataset.productId) return;
+                e.preventDefault();
+                safeShowProductPopup(this.cta.dataset.productId);
+            });
+        }
+
+        if (this.slides.length < 2) return;
+
+        this.element.querySelector('.hero-prev').addEventListener('click', () => this.goTo(this.currentIndex - 1));
+        this.element.querySelector('.hero-next').addEventListener('click', () => this.goTo(this.currentIndex + 1));
+        this.dots.forEach((dot, i) => dot.addEventListener('click', () => this.goTo(i)));
+        this.toggle.addEventListener('click', () => {
+            if (this.pauseReasons.has('user')) {
+                // Pressing play also overrides the focus that is on the button
+                this.pauseReasons.delete('user');
+                this.pauseReasons.delete('focus');
+            } else {
+                this.pauseReasons.add('user');
+            }
+            this.updateAutoplay();
+        });
+
+        this.element.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.goTo(this.currentIndex - 1);
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.goTo(this.currentIndex + 1);
+            }
+        });
+
+        this.element.addEventListener('touchstart', (e) => {
+            this.touchStartX = e.touches[0].clientX;
+            this.addPauseReason('touch');
+        }, { passive: true });
+        this.element.addEventListener('touchend', (e) => {
+            const touch = e.changedTouches[0];
+            if (this.touchStartX !== null && touch) {
+                const diffX = touch.clientX - this.touchStartX;
+                if (Math.abs(diffX) >= HERO_SWIPE_DISTANCE) {
+                    this.goTo(this.currentIndex + (diffX < 0 ? 1 : -1));
+                }
+            }
+            this.touchStartX = null;
+            this.removePauseReason('touch');
+        }, { passive: true });
+
+        this.element.addEventListener('mouseenter', () => this.addPauseReason('hover'));
+        this.element.addEventListener('mouseleave', () => this.removePauseReason('hover'));
+        this.element.addEventListener('focusin', () => this.addPauseReason('focus'));
+        this.element.addEventListener('focusout', (e) => {
+            if (!this.element.contains(e.relatedTarget)) this.removePauseReason('focus');
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.addPauseReason('hidden');
+            } else {
+                this.removePauseReason('hidden');
+            }
+        });
+        if (document.hidden) this.pauseReasons.add('hidden');
+
+        // Visitors who asked for less motion get a still image until they press play
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+        if (reducedMotion && reducedMotion.matches) this.pauseReasons.add('user');
+
+        this.updateAutoplay();
+    }
+
+    addPauseReason(reason) {
+        this.pauseReasons.add(reason);
+        this.updateAutoplay();
+    }
+
+    removePauseReason(reason) {
+        this.pauseReasons.delete(reason);
+        this.updateAutoplay();
+    }
+
+    updateAutoplay() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.slides.length < 2) return;
+
+        const running = this.pauseReasons.size === 0;
+        if (running) {
+            this.timer = setInterval(() => this.show(this.currentIndex + 1, false), this.options.interval);
+        }
+        // Announcing every automatic change would drown out everything else
+        this.status.setAttribute('aria-live', running ? 'off' : 'polite');
+        this.updateToggle();
+    }
+
+    // Shows what pressing it will do; the hover and focus pauses do not count
+    updateToggle() {
+        if (!this.toggle) return;
+
+        const playing = !this.pauseReasons.has('user');
+        this.toggle.innerHTML = `<i class="fas ${playing ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i>`;
+        this.toggle.setAttribute('aria-label', t(playing ? 'slider.pause' : 'slider.play'));
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const element = document.querySelector('[data-hero-slides]');
+    if (element) {
+        window.heroSlideshow = new HeroSlideshow(element);
+        window.heroSlideshow.init();
+    }
+});
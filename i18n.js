@@ -0,0 +1,404 @@
+// Interface language: English and Indonesian message catalogs, the language
+// switcher in the header and locale-aware number and date formatting.
+// Loaded first on every page. Scripts ask for text with t('key', params);
+// static markup is translated through data-i18n attributes:
+//   data-i18n="key"               sets the text
+//   data-i18n-placeholder="key"   sets the placeholder
+//   data-i18n-aria-label="key"    sets the aria-label
+// Changing the language fires a `languagechange` event on document so the
+// rendered parts of the page can redraw themselves.
+
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_STORAGE_KEY = 'athnaLanguage';
+
+// Supported languages; locale is used for numbers and dates
+const LANGUAGES = {
+    en: { label: 'English', locale: 'en-GB' },
+    id: { label: 'Bahasa Indonesia', locale: 'id-ID' }
+};
+
+// Message catalogs. {name} is replaced by params.name; a message with
+// `one`/`other` forms is picked by params.count. Missing Indonesian
+// messages fall back to English.
+const MESSAGES = {
+    en: {
+        'nav.home': 'Home',
+        'nav.about': 'About',
+        'nav.highlight': 'Highlight',
+        'nav.category': 'Category',
+        'nav.contact': 'Contact',
+        'nav.contactUs': 'Contact Us',
+        'nav.favorites': 'Favorites',
+        'nav.backToMenu': 'Back to Menu',
+        'header.search': 'Search...',
+        'header.searchProducts': 'Search products...',
+        'header.searchLabel': 'Search products',
+        'header.searchButton': 'Search',
+        'header.favorites': 'My favorites',
+        'header.cart': 'Open cart',
+        'header.currency': 'Currency',
+        'header.language': 'Language',
+
+        'product.soldOut': 'Sold out',
+        'product.onlyLeft': 'Only {count} left',
+        'product.saveToFavorites': 'Save {name} to favorites',
+        'product.close': 'Close',
+        'product.previousImage': 'Previous image',
+        'product.nextImage': 'Next image',
+        'product.imageAlt': '{name}, image {number}',
+        'product.availableSizes': 'Available Sizes',
+        'product.selectSize': 'Select a size',
+        'product.sizeSoldOut': '{size}, sold out',
+        'product.sizeHint': 'Please select a size',
+        'product.askRestock': 'Ask about restock',
+        'product.orderWhatsApp': 'Order via WhatsApp',
+        'product.addToCart': 'Add to Cart',
+        'product.addedToCart': 'Added to Cart',
+        'product.share': 'Share',
+        'product.shareLabel': 'Share {name}',
+        'product.youMayLike': 'You may also like',
+        'product.completeLook': 'Complete the look',
+
+        'share.copied': 'Link copied',
+        'share.copyPrompt': 'Copy this link:',
+
+        'order.size': ' (Size: {size})',
+        'order.product': 'Hi, I want to order: {name}{size} - Price: {price}',
+        'order.restock': 'Hi, is {name} coming back in stock? Please let me know when I can order it.',
+        'order.cart': 'Hi, I want to order:',
+
+        'cart.title': 'Your Cart',
+        'cart.close': 'Close cart',
+        'cart.empty': 'Your cart is empty',
+        'cart.clear': 'Clear cart',
+        'cart.order': 'Order via WhatsApp',
+        'cart.size': 'Size: {size}',
+        'cart.subtotal': 'Subtotal: {price}',
+        'cart.total': 'Total: {price}',
+        'cart.decrease': 'Decrease quantity',
+        'cart.increase': 'Increase quantity',
+        'cart.remove': 'Remove {name}',
+
+        'promotion.bundle': 'Buy {count} or more, get {value}% off',
+        'promotion.ends': 'Ends {date}',
+
+        'shop.loadError': 'Error loading products: {message}',
+        'shop.searchTitle': 'Search: "{query}"',
+        'shop.myFavorites': 'My Favorites',
+        'shop.sharedFavorites': 'Shared Favorites',
+        'shop.home': 'Home',
+        'shop.back': 'Back',
+        'shop.nextCollection': 'Next Collection',
+        'shop.noFilterMatches': 'No products match the selected filters',
+        'shop.noFilterMatchesHint': 'Try a wider price range or another size',
+        'shop.noSharedFavorites': 'None of the shared products are available any more',
+        'shop.noFavorites': 'You have no favorites yet',
+        'shop.favoritesHint': 'Tap the heart on a product to save it here',
+        'shop.noSearchResults': 'No products match "{query}"',
+        'shop.searchHint': 'Check the spelling or try a more general word',
+        'shop.emptyCategory': 'No products available in the "{category}" category',
+        'shop.emptyCategoryHint': 'Select another category from the dropdown above',
+        'shop.showingRange': 'Showing {start} - {end} of {total} products',
+        'shop.showingCount': 'Showing {shown} of {total} products',
+        'shop.loadMore': 'Load more',
+        'shop.previousPage': '← Previous',
+        'shop.nextPage': 'Next →',
+
+        'sort.label': 'Sort by',
+        'sort.featured': 'Featured',
+        'sort.priceAsc': 'Price: Low to High',
+        'sort.priceDesc': 'Price: High to Low',
+        'sort.newest': 'Newest',
+        'sort.discount': 'Biggest Discount',
+        'sort.name': 'Name: A to Z',
+
+        'filter.price': 'Price (Rp)',
+        'filter.priceIDR': 'Price in IDR only (Rp)',
+        'filter.min': 'Min',
+        'filter.max': 'Max',
+        'filter.minLabel': 'Minimum price in IDR',
+        'filter.maxLabel': 'Maximum price in IDR',
+        'filter.size': 'Size',
+        'filter.sizeLabel': 'Filter by size',
+        'filter.hideSoldOut': 'Hide sold out',
+        'filter.clear': 'Clear filters',
+        'filter.allTypes': 'All',
+        'filter.typeLabel': 'Filter by type',
+        'slider.pause': 'Pause automatic sliding',
+        'slider.play': 'Start automatic sliding',
+        'slider.carousel': 'carousel',
+        'slider.label': 'Products',
+        'slider.previous': 'Previous products',
+        'slider.next': 'Next products',
+        'slider.choose': 'Choose a product',
+        'slider.goTo': 'Go to product {index}',
+        'slider.position': '{index} of {total}',
+        'slider.showing': 'Products {from} to {to} of {total}',
+
+        'favorites.sharedWithYou': {
+            one: 'Someone shared {count} product with you',
+            other: 'Someone shared {count} products with you'
+        },
+        'favorites.saveAll': 'Save all to my favorites',
+        'favorites.saved': 'Saved to your favorites',
+        'favorites.viewMine': 'View my favorites',
+        'favorites.share': 'Share my list',
+        'favorites.shareTitle': 'My ATHNA favorites',
+        'favorites.shareText': 'Have a look at my favorites from ATHNA',
+
+        'recent.title': 'Recently Viewed',
+        'recent.clear': 'Clear history',
+
+        'landing.seeMore': 'See More Collection',
+        'landing.shopByCategory': 'Shop by Category',
+        'landing.allCategories': 'All Categories',
+        'hero.label': 'Homepage slideshow',
+        'hero.explore': 'Explore Now',
+        'hero.previous': 'Previous slide',
+        'hero.next': 'Next slide',
+        'hero.choose': 'Choose a slide',
+        'hero.goTo': 'Go to slide {index}',
+
+        'category.collection': '{title} Collection'
+    },
+
+    id: {
+        'nav.home': 'Beranda',
+        'nav.about': 'Tentang',
+        'nav.highlight': 'Sorotan',
+        'nav.category': 'Kategori',
+        'nav.contact': 'Kontak',
+        'nav.contactUs': 'Hubungi Kami',
+        'nav.favorites': 'Favorit',
+        'nav.backToMenu': 'Kembali ke Menu',
+        'header.search': 'Cari...',
+        'header.searchProducts': 'Cari produk...',
+        'header.searchLabel': 'Cari produk',
+        'header.searchButton': 'Cari',
+        'header.favorites': 'Favorit saya',
+        'header.cart': 'Buka keranjang',
+        'header.currency': 'Mata uang',
+        'header.language': 'Bahasa',
+
+        'product.soldOut': 'Habis',
+        'product.onlyLeft': 'Tersisa {count}',
+        'product.saveToFavorites': 'Simpan {name} ke favorit',
+        'product.close': 'Tutup',
+        'product.previousImage': 'Gambar sebelumnya',
+        'product.nextImage': 'Gambar berikutnya',
+        'product.imageAlt': '{name}, gambar {number}',
+        'product.availableSizes': 'Ukuran Tersedia',
+        'product.selectSize': 'Pilih ukuran',
+        'product.sizeSoldOut': '{size}, habis',
+        'product.sizeHint': 'Silakan pilih ukuran',
+        'product.askRestock': 'Tanya stok kembali',
+        'product.orderWhatsApp': 'Pesan via WhatsApp',
+        'product.addToCart': 'Tambah ke Keranjang',
+        'product.addedToCart': 'Masuk Keranjang',
+        'product.share': 'Bagikan',
+        'product.shareLabel': 'Bagikan {name}',
+        'product.youMayLike': 'Mungkin Anda juga suka',
+        'product.completeLook': 'Lengkapi gayamu',
+
+        'share.copied': 'Tautan disalin',
+        'share.copyPrompt': 'Salin tautan ini:',
+
+        'order.size': ' (Ukuran: {size})',
+        'order.product': 'Halo, saya mau pesan: {name}{size} - Harga: {price}',
+        'order.restock': 'Halo, apakah {name} akan tersedia lagi? Mohon kabari saya kalau sudah bisa dipesan.',
+        'order.cart': 'Halo, saya mau pesan:',
+
+        'cart.title': 'Keranjang Anda',
+        'cart.close': 'Tutup keranjang',
+        'cart.empty': 'Keranjang Anda kosong',
+        'cart.clear': 'Kosongkan keranjang',
+        'cart.order': 'Pesan via WhatsApp',
+        'cart.size': 'Ukuran: {size}',
+        'cart.subtotal': 'Subtotal: {price}',
+        'cart.total': 'Total: {price}',
+        'cart.decrease': 'Kurangi jumlah',
+        'cart.increase': 'Tambah jumlah',
+        'cart.remove': 'Hapus {name}',
+
+        'promotion.bundle': 'Beli {count} atau lebih, diskon {value}%',
+        'promotion.ends': 'Berakhir {date}',
+
+        'shop.loadError': 'Gagal memuat produk: {message}',
+        'shop.searchTitle': 'Pencarian: "{query}"',
+        'shop.myFavorites': 'Favorit Saya',
+        'shop.sharedFavorites': 'Favorit yang Dibagikan',
+        'shop.home': 'Beranda',
+        'shop.back': 'Kembali',
+        'shop.nextCollection': 'Koleksi Berikutnya',
+        'shop.noFilterMatches': 'Tidak ada produk yang cocok dengan filter',
+        'shop.noFilterMatchesHint': 'Coba rentang harga yang lebih luas atau ukuran lain',
+        'shop.noSharedFavorites': 'Produk yang dibagikan sudah tidak tersedia',
+        'shop.noFavorites': 'Anda belum punya favorit',
+        'shop.favoritesHint': 'Ketuk ikon hati pada produk untuk menyimpannya di sini',
+        'shop.noSearchResults': 'Tidak ada produk yang cocok dengan "{query}"',
+        'shop.searchHint': 'Periksa ejaan atau coba kata yang lebih umum',
+        'shop.emptyCategory': 'Belum ada produk di kategori "{category}"',
+        'shop.emptyCategoryHint': 'Pilih kategori lain dari menu di atas',
+        'shop.showingRange': 'Menampilkan {start} - {end} dari {total} produk',
+        'shop.showingCount': 'Menampilkan {shown} dari {total} produk',
+        'shop.loadMore': 'Muat lebih banyak',
+        'shop.previousPage': '← Sebelumnya',
+        'shop.nextPage': 'Berikutnya →',
+
+        'sort.label': 'Urutkan',
+        'sort.featured': 'Unggulan',
+        'sort.priceAsc': 'Harga: Rendah ke Tinggi',
+        'sort.priceDesc': 'Harga: Tinggi ke Rendah',
+        'sort.newest': 'Terbaru',
+        'sort.discount': 'Diskon Terbesar',
+        'sort.name': 'Nama: A sampai Z',
+
+        'filter.price': 'Harga (Rp)',
+        'filter.priceIDR': 'Harga hanya dalam IDR (Rp)',
+        'filter.min': 'Min',
+        'filter.max': 'Maks',
+        'filter.minLabel': 'Harga minimum dalam IDR',
+        'filter.maxLabel': 'Harga maksimum dalam IDR',
+        'filter.size': 'Ukuran',
+        'filter.sizeLabel': 'Saring menurut ukuran',
+        'filter.hideSoldOut': 'Sembunyikan yang habis',
+        'filter.clear': 'Hapus filter',
+        'filter.allTypes': 'Semua',
+        'filter.typeLabel': 'Saring menurut jenis',
+        'slider.pause': 'Jeda geser otomatis',
+        'slider.play': 'Mulai geser otomatis',
+        'slider.carousel': 'korsel',
+        'slider.label': 'Produk',
+        'slider.previous': 'Produk sebelumnya',
+        'slider.next': 'Produk berikutnya',
+        'slider.choose': 'Pilih produk',
+        'slider.goTo': 'Ke produk {index}',
+        'slider.position': '{index} dari {total}',
+        'slider.showing': 'Produk {from} sampai {to} dari {total}',
+
+        'favorites.sharedWithYou': 'Seseorang membagikan {count} produk kepada Anda',
+        'favorites.saveAll': 'Simpan semua ke favorit saya',
+        'favorites.saved': 'Tersimpan di favorit Anda',
+        'favorites.viewMine': 'Lihat favorit saya',
+        'favorites.share': 'Bagikan daftar saya',
+        'favorites.shareTitle': 'Favorit ATHNA saya',
+        'favorites.shareText': 'Lihat favorit saya dari ATHNA',
+
+        'recent.title': 'Terakhir Dilihat',
+        'recent.clear': 'Hapus riwayat',
+
+        'landing.seeMore': 'Lihat Koleksi Lainnya',
+        'landing.shopByCategory': 'Belanja per Kategori',
+        'landing.allCategories': 'Semua Kategori',
+        'hero.label': 'Tayangan slide beranda',
+        'hero.explore': 'Jelajahi Sekarang',
+        'hero.previous': 'Slide sebelumnya',
+        'hero.next': 'Slide berikutnya',
+        'hero.choose': 'Pilih slide',
+        'hero.goTo': 'Ke slide {index}',
+
+        'category.collection': 'Koleksi {title}'
+    }
+};
+
+class I18n {
+    // Saved choice, else the browser language when we have it, else English
+    static getLanguage() {
+        if (!I18n.language) {
+            let saved = null;
+            try {
+                saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+            } catch (error) {
+                // Private mode: fall back to the browser language
+            }
+            const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+            I18n.language = [saved, browser].find(lang => LANGUAGES[lang]) || DEFAULT_LANGUAGE;
+        }
+        return I18n.language;
+    }
+
+    static setLanguage(lang) {
+        if (!LANGUAGES[lang] || lang === I18n.getLanguage()) return;
+
+        I18n.language = lang;
+        try {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+        } catch (error) {
+            console.warn('Could not save the language:', error);
+        }
+
+        I18n.translatePage();
+        document.dispatchEvent(new CustomEvent('languagechange', { detail: { lang } }));
+    }
+
+    static getLocale() {
+        return LANGUAGES[I18n.getLanguage()].locale;
+    }
+
+    static t(key, params = {}) {
+        let message = MESSAGES[I18n.getLanguage()][key];
+        if (message === undefined) message = MESSAGES[DEFAULT_LANGUAGE][key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(I18n.getLocale()).select(Number(params.count));
+            message = message[form] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? I18n.formatNumber(value) : String(value);
+        });
+    }
+
+    static formatNumber(value) {
+        return Number(value).toLocaleString(I18n.getLocale());
+    }
+
+    static formatDate(date, options = { day: 'numeric', month: 'short' }) {
+        return date.toLocaleDateString(I18n.getLocale(), options);
+    }
+
+    static translatePage(root = document) {
+        document.documentElement.lang = I18n.getLanguage();
+
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = I18n.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = I18n.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+            el.setAttribute('aria-label', I18n.t(el.dataset.i18nAriaLabel));
+        });
+
+        root.querySelectorAll('.language-select').forEach(select => {
+            select.value = I18n.getLanguage();
+        });
+    }
+}
+
+// Shorthand used by the other scripts
+function t(key, params) {
+    return I18n.t(key, params);
+}
+
+// Before anything renders, so screen readers and hyphenation use the right language
+document.documentElement.lang = I18n.getLanguage();
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.language-select').forEach(select => {
+        select.innerHTML = Object.entries(LANGUAGES)
+            .map(([lang, { label }]) => `<option value="${lang}">${label}</option>`)
+            .join('');
+        select.addEventListener('change', () => I18n.setLanguage(select.value));
+    });
+
+    I18n.translatePage();
+
+    // Keep several open tabs in sync
+    window.addEventListener('storage', (e) => {
+        if (e.key === LANGUAGE_STORAGE_KEY && LANGUAGES[e.newValue]) I18n.setLanguage(e.newValue);
+    });
+});
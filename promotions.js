@@ -0,0 +1,164 @@
+// Promotions: dated sales and bundle deals from promotions.json.
+// Loaded before catalog.js and cart.js, which ask it for the current price
+// of a product and for the bundle discounts of a cart. Dates are checked
+// against the visitor's clock on every call, so an expired promotion stops
+// applying without a catalog change.
+
+// One entry of promotions.json
+class Promotion {
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name || '';
+        this.type = data.type; // 'percent', 'fixed' or 'bundle'
+        this.value = Number(data.value) || 0;
+        this.minQuantity = Number(data.minQuantity) || 0; // bundles only
+        this.products = Array.isArray(data.products) ? data.products.map(Number) : [];
+        this.categories = Array.isArray(data.categories) ? data.categories : [];
+        this.start = Promotion.parseDate(data.start, false);
+        this.end = Promotion.parseDate(data.end, true);
+    }
+
+    // "2026-11-30" is a local calendar day: a start date begins at midnight
+    // and an end date lasts until the end of that day
+    static parseDate(value, endOfDay) {
+        if (!value) return null;
+
+        const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (day) {
+            const date = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+            if (endOfDay) date.setHours(23, 59, 59, 999);
+            return date;
+        }
+
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    isActive(date = new Date()) {
+        if (this.start && date < this.start) return false;
+        if (this.end && date > this.end) return false;
+        return true;
+    }
+
+    isBundle() {
+        return this.type === 'bundle';
+    }
+
+    // Without products or categories a promotion covers the whole shop
+    appliesTo(item) {
+        if (this.products.length === 0 && this.categories.length === 0) return true;
+        return this.products.includes(Number(item.id)) || this.categories.includes(item.category);
+    }
+
+    // Sale price of one item; bundles only apply in the cart
+    apply(price) {
+        if (this.type === 'percent') {
+            return Math.max(0, Math.round(price * (1 - this.value / 100)));
+        }
+        if (this.type === 'fixed') {
+            return Math.max(0, price - this.value);
+        }
+        return price;
+    }
+
+    // Short text for the discount badge
+    getBadgeLabel() {
+        if (this.type === 'fixed') return `-<span data-price="${this.value}" data-price-short>${formatShortPrice(this.value)}</span>`;
+        return `-${this.value}%`;
+    }
+
+    getDescription() {
+        if (this.isBundle()) {
+            return t('promotion.bundle', { count: this.minQuantity, value: this.value });
+        }
+        return this.name;
+    }
+
+    getEndLabel() {
+        if (!this.end) return '';
+        return t('promotion.ends', { date: I18n.formatDate(this.end) });
+    }
+}
+
+// "Rp 50K" for badges where the full price format does not fit
+function formatShortPrice(price) {
+    if (!CurrencyConverter.isBase()) return CurrencyConverter.format(price);
+    if (price >= 1000 && price % 1000 === 0) return `Rp ${(price / 1000).toLocaleString('id-ID')}K`;
+    return `Rp ${Math.round(price).toLocaleString('id-ID')}`;
+}
+
+// Loads promotions.json once per page and evaluates the active promotions
+class PromotionEngine {
+    static load(url = 'promotions.json') {
+        if (!PromotionEngine.request) {
+            PromotionEngine.request = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to load promotions');
+                    return response.json();
+                })
+                .then(data => PromotionEngine.setPromotions(data))
+                .catch(error => {
+                    // The shop still works at list prices without promotions
+                    console.warn('Promotions not applied:', error);
+                    return PromotionEngine.setPromotions([]);
+                });
+        }
+        return PromotionEngine.request;
+    }
+
+    static setPromotions(data) {
+        PromotionEngine.promotions = (Array.isArray(data) ? data : [])
+            .map(item => new Promotion(item))
+            .filter(promotion => ['percent', 'fixed', 'bundle'].includes(promotion.type));
+        return PromotionEngine.promotions;
+    }
+
+    static getActive(date = new Date()) {
+        return (PromotionEngine.promotions || []).filter(promotion => promotion.isActive(date));
+    }
+
+    // Best single-item price for { id, category, discount } at the given list price.
+    // The product's own `discount` field counts as a promotion that never ends.
+    // Returns { price, promotion } where promotion is null at list price.
+    static getSale(item, listPrice, date = new Date()) {
+        const candidates = PromotionEngine.getActive(date)
+            .filter(promotion => !promotion.isBundle() && promotion.appliesTo(item));
+
+        if (item.discount > 0) {
+            candidates.push(new Promotion({ id: 'product-discount', type: 'percent', value: item.discount }));
+        }
+
+        return candidates.reduce((best, promotion) => {
+            const price = promotion.apply(listPrice);
+            return price < best.price ? { price, promotion } : best;
+        }, { price: listPrice, promotion: null });
+    }
+
+    static getBundles(item, date = new Date()) {
+        return PromotionEngine.getActive(date)
+            .filter(promotion => promotion.isBundle() && promotion.appliesTo(item));
+    }
+
+    // Bundle discounts for cart lines { id, category, price, quantity }.
+    // Each line counts towards at most one bundle, the most generous first.
+    // Returns [{ promotion, amount }]
+    static getCartDiscounts(items, date = new Date()) {
+        const claimed = new Set();
+        const bundles = PromotionEngine.getActive(date)
+            .filter(promotion => promotion.isBundle())
+            .sort((a, b) => b.value - a.value);
+
+        return bundles.reduce((discounts, promotion) => {
+            const lines = items.filter(item => !claimed.has(item) && promotion.appliesTo(item));
+            const quantity = lines.reduce((count, item) => count + item.quantity, 0);
+            if (lines.length === 0 || quantity < promotion.minQuantity) return discounts;
+
+            lines.forEach(item => claimed.add(item));
+            const subtotal = lines.reduce((total, item) => total + item.price * item.quantity, 0);
+            const amount = Math.round(subtotal * promotion.value / 100);
+
+            if (amount > 0) discounts.push({ promotion, amount });
+            return discounts;
+        }, []);
+    }
+}
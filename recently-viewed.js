@@ -0,0 +1,152 @@
+// Recently viewed products (needs catalog.js, categories.js and slider.js)
+// Every product opened in the popup is remembered in localStorage, newest
+// first, and shown as a CardSlider row: among the category rows on
+// index.html and at the bottom of Products.html.
+class RecentlyViewed {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'athnaRecentlyViewed',
+            maxItems: 12,
+            maxAgeDays: 30, // Older views are forgotten
+            sliderId: 'recently-viewed-slider',
+            ...options
+        };
+
+        this.entries = this.loadEntries();
+        this.products = [];
+        this.section = null;
+        // Set by record(); the row is rebuilt in refresh(), not under the open popup
+        this.needsRender = false;
+    }
+
+    // Entries are { id, viewedAt } with viewedAt in milliseconds
+    loadEntries() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            const oldest = Date.now() - this.options.maxAgeDays * 24 * 60 * 60 * 1000;
+            return Array.isArray(stored)
+                ? stored.filter(entry => entry && Number.isInteger(entry.id) && entry.viewedAt >= oldest)
+                : [];
+        } catch (error) {
+            console.warn('Could not read recently viewed products:', error);
+            return [];
+        }
+    }
+
+    saveEntries() {
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save recently viewed products:', error);
+        }
+    }
+
+    record(id) {
+        id = Number(id);
+        this.entries = [
+            { id, viewedAt: Date.now() },
+            ...this.entries.filter(entry => entry.id !== id)
+        ].slice(0, this.options.maxItems);
+        this.saveEntries();
+        this.needsRender = true;
+    }
+
+    // Called when the popup closes, so the row does not reorder while it is open
+    refresh() {
+        if (this.needsRender) this.render();
+    }
+
+    clear() {
+        this.entries = [];
+        this.saveEntries();
+        this.render();
+    }
+
+    // Products still in the catalog, most recent first
+    getProducts() {
+        return this.entries
+            .map(entry => ProductCatalog.findById(this.products, entry.id))
+            .filter(Boolean);
+    }
+
+    // Adds the row at the end of `container` once the catalog has loaded
+    mount(container) {
+        this.section = document.createElement('section');
+        this.section.className = 'prod-land recently-viewed';
+        this.section.hidden = true;
+        container.appendChild(this.section);
+
+        this.section.addEventListener('click', (e) => {
+            if (e.target.closest('.recently-viewed-clear')) this.clear();
+        });
+
+        return Promise.all([ProductCatalog.load(), CategoryCatalog.load()])
+            .then(([products, categories]) => {
+                // Views of products whose category was hidden since are left out
+                this.products = CategoryCatalog.getVisibleProducts(categories, products);
+                this.render();
+                document.addEventListener('languagechange', () => this.render());
+            })
+            .catch(error => console.error('Failed to load recently viewed products', error));
+    }
+
+    render() {
+        if (!this.section) return;
+        this.needsRender = false;
+
+        // The popup gives the focus back to the card that opened it; keep it there
+        const focused = this.section.contains(document.activeElement)
+            ? document.activeElement.closest('.product-card[data-id]')
+            : null;
+
+        // The slider listens on the window and document, so drop it with the old cards
+        const slider = window.sliders && window.sliders[this.options.sliderId];
+        if (slider) {
+            slider.destroy();
+            delete window.sliders[this.options.sliderId];
+        }
+
+        const products = this.getProducts();
+        if (products.length === 0) {
+            this.section.hidden = true;
+            this.section.innerHTML = '';
+            return;
+        }
+
+        this.section.hidden = false;
+        this.section.innerHTML = `
+            <div class="prod-land-tit">
+                <h2>${t('recent.title')}</h2>
+                <button type="button" class="recently-viewed-clear">${t('recent.clear')}</button>
+            </div>
+            <div class="cards-slider-container" id="${this.options.sliderId}">
+                <div class="cards-wrapper">
+                    ${products.map(product => product.createSliderCardHTML()).join('')}
+                </div>
+                <button class="slider-arrow prev-arrow">‹</button>
+                <button class="slider-arrow next-arrow">›</button>
+            </div>
+        `;
+
+        if (typeof CardSlider === 'function') {
+            window.sliders = window.sliders || {};
+            window.sliders[this.options.sliderId] = new CardSlider(this.options.sliderId, {
+                loop: true
+            });
+        }
+
+        if (focused) {
+            const button = this.section.querySelector(`.product-card[data-id="${focused.dataset.id}"]:not(.clone) .product-card-open`);
+            if (button) button.focus();
+        }
+    }
+}
+
+// Initialize when DOM is loaded; the popup records views through window.recentlyViewed
+document.addEventListener('DOMContentLoaded', () => {
+    window.recentlyViewed = new RecentlyViewed();
+
+    const container = document.getElementById('recently-viewed-container') ||
+        document.getElementById('product-landing-container');
+    if (container) window.recentlyViewed.mount(container);
+});
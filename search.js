@@ -0,0 +1,133 @@
+/**
+ * Product Search
+ * Tolerant full-text matching over product name, category and description,
+ * including their translations
+ */
+
+(function () {
+    'use strict';
+
+    // Configuration
+    const config = {
+        minFuzzyLength: 4, // Shorter words must match exactly or by prefix
+        maxTypos: 1 // Allowed edits per word for longer words
+    };
+
+    // Lowercase, strip accents and collapse punctuation to spaces
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    function tokenize(text) {
+        const normalized = normalize(text);
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    // Levenshtein distance, stopping early once it exceeds the limit
+    function editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function tokenMatchesWord(token, word) {
+        if (word.startsWith(token)) return true;
+        if (token.length < config.minFuzzyLength) return false;
+
+        // Compare against the word and against a prefix of the same length,
+        // so "jumsuit" finds "jumpsuit" and "jacke" finds "jacket"
+        return editDistance(token, word, config.maxTypos) <= config.maxTypos ||
+            editDistance(token, word.slice(0, token.length), config.maxTypos) <= config.maxTypos;
+    }
+
+    // Builds the searchable words for a product once and caches them on it
+    // Translated names and descriptions are indexed too, whatever the current language
+    function getSearchIndex(product) {
+        if (!product._searchIndex) {
+            const translations = Object.values(product.translations || {});
+            const names = [product.name, ...translations.map(translation => translation.name)];
+            const text = [...names, product.category, product.description,
+                ...translations.map(translation => translation.description)].join(' ');
+            const words = tokenize(text);
+
+            // Also index the name without separators so "tshirt" finds "T - Shirt"
+            const compactName = names.map(name => normalize(name).replace(/ /g, '')).join(' ');
+
+            product._searchIndex = { words: [...new Set(words)], compactName };
+        }
+        return product._searchIndex;
+    }
+
+    function matchesExactly(token, index) {
+        return index.words.some(word => word.startsWith(token));
+    }
+
+    function matchesLoosely(token, index) {
+        return index.words.some(word => tokenMatchesWord(token, word));
+    }
+
+    // Returns the products where every word of the query matches somewhere.
+    // A word is only matched loosely when nothing in the catalog contains it
+    // as typed, so "short" does not also return every "shirt".
+    function filter(products, query) {
+        const tokens = tokenize(query);
+        if (tokens.length === 0) return products.slice();
+
+        const exactTokens = new Set(tokens.filter(token =>
+            products.some(product => matchesExactly(token, getSearchIndex(product)))
+        ));
+        const compactQuery = tokens.join('');
+
+        return products.filter(product => {
+            const index = getSearchIndex(product);
+
+            if (compactQuery.length >= config.minFuzzyLength && index.compactName.includes(compactQuery)) {
+                return true;
+            }
+
+            return tokens.every(token => exactTokens.has(token)
+                ? matchesExactly(token, index)
+                : matchesLoosely(token, index));
+        });
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Wraps the literal occurrences of the query words in <mark>
+    function highlight(text, query) {
+        // Single letters would mark nearly every character
+        const tokens = tokenize(query).filter(token => token.length > 1);
+        if (tokens.length === 0) return text;
+
+        const pattern = new RegExp(`(${tokens.map(escapeRegExp).join('|')})`, 'gi');
+        return String(text).replace(pattern, '<mark>$1</mark>');
+    }
+
+    // Expose public API
+    window.ProductSearch = {
+        normalize: normalize,
+        filter: filter,
+        highlight: highlight,
+        setConfig: (options) => Object.assign(config, options)
+    };
+
+})();
@@ -33,22 +33,21 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
     
-    // Handle dropdown item clicks
-    const dropdownItems = document.querySelectorAll('.dropdown-item');
-    dropdownItems.forEach(item => {
-        item.addEventListener('click', function(e) {
-            // Don't prevent default - we want the link to work
-            // But close the dropdown first
-            dropdownBtn.classList.remove('active');
-            dropdownMenu.classList.remove('show');
-            
-            const arrow = dropdownBtn.querySelector('.dropdown-arrow');
-            if (arrow) {
-                arrow.style.transform = 'rotate(0deg)';
-            }
-            
-            // The link will navigate naturally
-        });
+    // Handle dropdown item clicks (the items are added later by categories.js)
+    dropdownMenu.addEventListener('click', function(e) {
+        if (!e.target.closest('.dropdown-item')) return;
+
+        // Don't prevent default - we want the link to work
+        // But close the dropdown first
+        dropdownBtn.classList.remove('active');
+        dropdownMenu.classList.remove('show');
+        
+        const arrow = dropdownBtn.querySelector('.dropdown-arrow');
+        if (arrow) {
+            arrow.style.transform = 'rotate(0deg)';
+        }
+        
+        // The link will navigate naturally
     });
     
     // Handle escape key
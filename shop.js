@@ -1,289 +1,272 @@
-// Product class to create shop items
-class Product {
-    constructor(id, name, price, description, category, images, originalPrice = null, discount = 0, size = []) {
-        this.id = id;
-        this.name = name;
-        this.price = price;
-        this.description = description;
-        this.category = category;
-        // Accept both single string or array of images
-        this.images = Array.isArray(images) ? images : [images];
-        this.originalPrice = originalPrice || price;
-        this.discount = discount;
-        this.currentImageIndex = 0;
-        this.size = Array.isArray(size) ? size : []; // Handle size array
-    }
-
-    formatPrice(price) {
-        return 'Rp ' + price.toLocaleString('id-ID') + ', - IDR';
-    }
-
-    hasDiscount() {
-        return this.discount > 0;
-    }
-
-    calculateDiscountedPrice() {
-        if (this.hasDiscount()) {
-            return Math.round(this.originalPrice * (1 - this.discount / 100));
-        }
-        return this.price;
-    }
-
-    hasMultipleImages() {
-        return this.images.length > 1;
-    }
-
-    hasSizes() {
-        // Treat an (empty) size array as valid so the popup layout remains consistent.
-        // The popup will render a placeholder when there are no actual sizes.
-        return Array.isArray(this.size);
-    }
-
-    nextImage() {
-        if (this.hasMultipleImages()) {
-            this.currentImageIndex = (this.currentImageIndex + 1) % this.images.length;
-        }
-        return this.images[this.currentImageIndex];
-    }
-
-    previousImage() {
-        if (this.hasMultipleImages()) {
-            this.currentImageIndex = (this.currentImageIndex - 1 + this.images.length) % this.images.length;
-        }
-        return this.images[this.currentImageIndex];
-    }
-
-    createHTML() {
-        const hasDiscount = this.hasDiscount();
-        const discountedPrice = this.calculateDiscountedPrice();
-        const hasMultipleImages = this.hasMultipleImages();
-        const mainImage = this.images[0];
-
-        return `
-            <div class="product-card clickable-product" data-id="${this.id}">
-                ${hasDiscount ? '<div class="discount-badge">-' + this.discount + '%</div>' : ''}
-                <div class="product-image-container">
-                    <img src="${mainImage}" alt="${this.name}" class="product-image main-image" loading="lazy">
-                    ${hasMultipleImages ? `<img src="${this.images[1]}" alt="${this.name}" class="product-image hover-image" loading="lazy">` : ''}
-                    </div>
-                
-                <h3 class="product-name">${this.name}</h3>                
-                <div class="product-price">
-                    ${hasDiscount ?
-                `<span class="original-price">${this.formatPrice(this.originalPrice)}</span>
-                         <span class="discounted-price">${this.formatPrice(discountedPrice)}</span>`
-                : this.formatPrice(this.price)
-            }
-           
-                </div>
-            </div>
-        `;
-    }
-
-    createPopupHTML() {
-        const hasDiscount = this.hasDiscount();
-        const discountedPrice = this.calculateDiscountedPrice();
-        const hasMultipleImages = this.hasMultipleImages();
-        const hasSizes = this.hasSizes();
-
-        return `
-            <div class="product-popup" data-id="${this.id}">
-    <div class="popup-content horizontal-layout">
-        <button class="close-popup">&times;</button>
-        
-        
-            
-                <img src="${this.images[0]}" alt="${this.name}" class="main-image boxs" id="main-image-${this.id}">
-                
-                ${hasMultipleImages ? `
-                    <button class="image-nav-btn prev-btn">‹</button>
-                    <button class="image-nav-btn next-btn">›</button>
-                ` : ''}
-            
-        
-        
-        <div class="popup-details">            
-            <h2 class="popup-title">${this.name}</h2>
-            
-            
-            <div class="popup-price">
-                ${hasDiscount ?
-                `<span class="original-price">${this.formatPrice(this.originalPrice)}</span>
-                     <span class="discounted-price">${this.formatPrice(discountedPrice)}</span>
-                     <span class="discount-percent">-${this.discount}%</span>`
-                : `<span class="current-price">${this.formatPrice(this.price)}</span>`
-            }
-            </div>
-            
-            ${hasSizes ? `
-            <div class="popup-sizes">
-    ${Array.isArray(this.size) && this.size.length > 0 ? `
-        <h3>Available Sizes</h3>
-        <div class="size-options">
-            ${this.size.map(s => `<span class="size-tag">${s}</span>`).join('')}
-        </div>
-    ` : `
-        <!-- Empty sizes container with min-height to maintain layout -->
-        <div class="size-options empty-sizes">
-            <span class="size-tag" style="visibility: hidden;">OS</span>
-        </div>
-    `}
-</div>
-            ` : ` `}
-            
-            <div class="popup-description">
-                <p>${this.description}</p>
-            </div>
-            
-            <div class="popup-actions">
-                <a href="https://wa.me/6287864853508?text=Hi, I want to order: ${encodeURIComponent(this.name)} - Price: ${this.formatPrice(this.calculateDiscountedPrice())}" 
-                   target="_blank" 
-                   class="whatsapp-order-btn">
-                    <i class="fa-brands fa-whatsapp"></i> Order via WhatsApp
-                </a>
-            </div>
-        </div>
-    </div>
-</div>
-        `;
-    }
-}
-
 // Main application with pagination
 class ShopApp {
-    constructor() {
+    // options.browseMode: 'pages' (numbered pages), 'load-more' (button that
+    // appends the next page) or 'infinite' (appends when the button scrolls
+    // into view). Defaults to the grid's data-browse-mode attribute.
+    constructor(options = {}) {
         this.products = [];
         this.container = document.getElementById('shop-container');
+        this.options = {
+            browseMode: (this.container && this.container.dataset.browseMode) || 'pages',
+            ...options
+        };
         this.filterContainer = document.getElementById('category-filter-container');
         this.pageTitle = document.getElementById('page-title');
-        this.popupContainer = document.getElementById('popup-container');
+        this.popupView = new ProductPopupView();
+        // Target of the slider cards' safeShowProductPopup() (recently viewed row)
+        window.showProductPopup = (id) => this.showProductPopup(id);
         this.paginationContainer = document.getElementById('pagination-container');
 
-        // Pagination properties
+        // Pagination properties. In the appending modes currentPage is the
+        // number of pages shown, so ?page=3 reopens with three pages loaded
         this.currentPage = 1;
         this.productsPerPage = 24;
         this.totalPages = 1;
+        this.loadMoreObserver = null;
 
-        // Create popup container if it doesn't exist
-        if (!this.popupContainer) {
-            this.popupContainer = document.createElement('div');
-            this.popupContainer.id = 'popup-container';
-            document.body.appendChild(this.popupContainer);
+        if (this.isAppendMode() && 'scrollRestoration' in history) {
+            // The grid is built after the browser would restore the scroll, so we do it
+            history.scrollRestoration = 'manual';
         }
 
-        // Define fixed categories in exact order
-        this.fixedCategories = [
-            'Women casualwear',
-            'Women Sportwear',
-            'Men Sportswear',
-            'Caps & Hats',
-            'Accessories'
-        ];
+        // Category objects from categories.json (categories.js): every one, and
+        // the visible ones in browsing order. currentCategory holds a category name.
+        this.allCategories = [];
+        this.categories = [];
+
+        // Virtual category listing the saved products (wishlist.js)
+        this.favoritesCategory = 'favorites';
+        this.favoritesBar = document.getElementById('favorites-bar');
+
+        // Sort options shown in the toolbar in display order, with their i18n.js message keys
+        this.sortOptions = {
+            '': 'sort.featured',
+            'price-asc': 'sort.priceAsc',
+            'price-desc': 'sort.priceDesc',
+            'newest': 'sort.newest',
+            'discount': 'sort.discount',
+            'name': 'sort.name'
+        };
 
-        // Check URL parameters for category and page
-        const urlParams = new URLSearchParams(window.location.search);
-        this.currentCategory = urlParams.get('category') || this.fixedCategories[0];
-        this.currentPage = parseInt(urlParams.get('page')) || 1;
+        // Known sizes in wearing order; anything else is listed after them
+        this.sizeOrder = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'All size'];
+
+        this.filtersContainer = document.getElementById('product-filters');
+        this.typeFilter = document.getElementById('type-filter');
+        this.searchInput = document.getElementById('product-search-input');
+        this.searchTimer = null;
+
+        // Check URL parameters for category, page, search and filters
+        this.readStateFromURL();
 
         this.init();
     }
 
     async loadProducts() {
         try {
-            const response = await fetch('products.json');
-            if (!response.ok) throw new Error('Failed to load products');
-
-            const data = await response.json();
-            this.products = data.map(item => {
-                // Filter out products with categories not in fixed list
-                if (!this.fixedCategories.includes(item.category)) {
-                    console.warn(`Product ${item.name} has invalid category: ${item.category}. Skipping.`);
-                    return null;
+            const [products, categories] = await Promise.all([ProductCatalog.load(), CategoryCatalog.load()]);
+            this.allCategories = categories;
+            this.categories = CategoryCatalog.getVisible(categories);
+
+            this.products = products.filter(product => {
+                // Filter out products whose category is not in categories.json
+                const category = CategoryCatalog.findByName(categories, product.category);
+                if (!category) {
+                    console.warn(`Product ${product.name} has invalid category: ${product.category}. Skipping.`);
+                    return false;
                 }
+                return category.visible;
+            });
+            this.popupView.setProducts(this.products, categories);
 
-                // Handle both old format (single image) and new format (multiple images)
-                const images = item.images || [item.image];
-
-                // Handle size array - ensure it's always an array
-                const sizes = item.size || [];
-
-                return new Product(
-                    item.id,
-                    item.name,
-                    item.discount > 0 ? Math.round(item.price * (1 - item.discount / 100)) : item.price,
-                    item.description,
-                    item.category,
-                    images,
-                    item.price,
-                    item.discount || 0,
-                    sizes // Pass size array
-                );
-            }).filter(product => product !== null);
-
-            // Verify all products have valid categories
-            const invalidCategories = this.products
-                .filter(p => !this.fixedCategories.includes(p.category))
-                .map(p => p.category);
-
-            if (invalidCategories.length > 0) {
-                console.warn('Some products have invalid categories:', invalidCategories);
-            }
-
-            // Use fixed categories as the source of truth
-            this.categories = [...this.fixedCategories];
-
-            // Check if current category is valid
-            if (!this.categories.includes(this.currentCategory)) {
-                this.currentCategory = this.categories[0];
-            }
+            this.resolveCurrentCategory();
 
             return true;
         } catch (error) {
             console.error('Error loading products:', error);
-            this.container.innerHTML = `<p style="color: red; text-align: center;">Error loading products: ${error.message}</p>`;
+            this.container.innerHTML = `<p style="color: red; text-align: center;">${t('shop.loadError', { message: error.message })}</p>`;
             return false;
         }
     }
 
-    updateURL() {
+    readStateFromURL() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const parsePrice = (value) => {
+            const price = parseInt(value);
+            return isNaN(price) || price < 0 ? null : price;
+        };
+
+        // As given in the link until resolveCurrentCategory() maps it to a category name
+        this.currentCategory = urlParams.get('category') || '';
+        this.currentPage = parseInt(urlParams.get('page')) || 1;
+        this.searchQuery = (urlParams.get('q') || '').trim();
+        this.sortBy = this.sortOptions.hasOwnProperty(urlParams.get('sort')) ? urlParams.get('sort') : '';
+        this.minPrice = parsePrice(urlParams.get('min'));
+        this.maxPrice = parsePrice(urlParams.get('max'));
+        this.selectedSizes = (urlParams.get('size') || '').split(',').filter(Boolean);
+        this.hideSoldOut = urlParams.get('instock') === '1';
+        // Product type chip (Product.type), e.g. ?type=Jumpsuit
+        this.selectedType = (urlParams.get('type') || '').trim();
+        // Someone else's favorites opened from a shared link, or null for our own
+        this.sharedIds = urlParams.has('ids') ? Wishlist.parseIds(urlParams.get('ids')) : null;
+    }
+
+    // ?category= takes a slug, but category names (the old links) and aliases
+    // work too; unknown and hidden values fall back to the first category
+    resolveCurrentCategory() {
+        if (this.currentCategory === this.favoritesCategory) return;
+
+        const category = CategoryCatalog.find(this.categories, this.currentCategory) || this.categories[0];
+        this.currentCategory = category ? category.name : '';
+    }
+
+    getCurrentCategory() {
+        return CategoryCatalog.findByName(this.allCategories, this.currentCategory);
+    }
+
+    // Position among the visible categories, -1 for favorites and hidden ones
+    getCategoryIndex() {
+        return this.categories.findIndex(category => category.name === this.currentCategory);
+    }
+
+    // Rewrites an old-style ?category= to the slug without adding a history entry
+    redirectToCategorySlug() {
+        const category = this.getCurrentCategory();
         const url = new URL(window.location);
-        if (this.currentCategory) {
-            url.searchParams.set('category', this.currentCategory);
+        if (!category || !url.searchParams.has('category') || url.searchParams.get('category') === category.slug) return;
+
+        url.searchParams.set('category', category.slug);
+        window.history.replaceState(history.state, '', url);
+    }
+
+    isFavoritesView() {
+        return !this.searchQuery && this.currentCategory === this.favoritesCategory;
+    }
+
+    getFavoriteIds() {
+        if (this.sharedIds) return this.sharedIds;
+        return window.wishlist ? window.wishlist.getIds() : [];
+    }
+
+    // replace: update the current history entry instead of adding one (used while typing)
+    updateURL(replace = false) {
+        const url = new URL(window.location);
+        // A new grid view never has a popup open
+        url.searchParams.delete('product');
+        if (this.searchQuery) {
+            url.searchParams.set('q', this.searchQuery);
+            url.searchParams.delete('category');
+        } else {
+            url.searchParams.delete('q');
+            const category = this.getCurrentCategory();
+            if (category) {
+                url.searchParams.set('category', category.slug);
+            } else if (this.isFavoritesView()) {
+                url.searchParams.set('category', this.favoritesCategory);
+            }
+        }
+        if (this.isFavoritesView() && this.sharedIds) {
+            url.searchParams.set('ids', this.sharedIds.join(','));
+        } else {
+            url.searchParams.delete('ids');
         }
         if (this.currentPage > 1) {
             url.searchParams.set('page', this.currentPage);
         } else {
             url.searchParams.delete('page');
         }
-        window.history.pushState({}, '', url);
+
+        const filterParams = {
+            type: this.selectedType,
+            sort: this.sortBy,
+            min: this.minPrice,
+            max: this.maxPrice,
+            size: this.selectedSizes.join(','),
+            instock: this.hideSoldOut ? '1' : null
+        };
+        Object.entries(filterParams).forEach(([key, value]) => {
+            if (value !== null && value !== '') {
+                url.searchParams.set(key, value);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+
+        if (replace) {
+            window.history.replaceState(history.state || {}, '', url);
+        } else {
+            this.saveScrollPosition();
+            window.history.pushState({}, '', url);
+        }
+        this.viewKey = this.getViewKey();
+    }
+
+    isAppendMode() {
+        return this.options.browseMode === 'load-more' || this.options.browseMode === 'infinite';
+    }
+
+    // Remembered in the history entry, so back/forward return to the same spot
+    saveScrollPosition() {
+        if (!this.isAppendMode()) return;
+        window.history.replaceState({ ...(history.state || {}), scrollY: window.scrollY }, '');
+    }
+
+    restoreScrollPosition() {
+        if (!this.isAppendMode()) return;
+
+        const state = history.state;
+        const scrollY = state && typeof state.scrollY === 'number' ? state.scrollY : 0;
+        requestAnimationFrame(() => window.scrollTo(0, scrollY));
+    }
+
+    // The URL state that decides the grid; ?product= only opens a popup on top
+    getViewKey() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('product');
+        return params.toString();
     }
 
     updatePageTitle() {
-        if (this.pageTitle && this.currentCategory) {
-            this.pageTitle.textContent = this.currentCategory;
+        if (!this.pageTitle) return;
+
+        if (this.searchQuery) {
+            this.pageTitle.textContent = t('shop.searchTitle', { query: this.searchQuery });
+        } else if (this.isFavoritesView()) {
+            this.pageTitle.textContent = t(this.sharedIds ? 'shop.sharedFavorites' : 'shop.myFavorites');
+        } else if (this.getCurrentCategory()) {
+            this.pageTitle.textContent = this.getCurrentCategory().getTitle();
+        }
+
+        // The category's picture behind the title, none for search and favorites
+        const titleBar = this.pageTitle.closest('.section-title');
+        const category = !this.searchQuery && this.getCurrentCategory();
+        if (titleBar) {
+            titleBar.style.setProperty('--category-image', category && category.image ? `url("${category.image}")` : 'none');
         }
     }
 
+    // Mirrors goToPreviousCategory() / goToNextCategory(): past either end is the home page
     updateNavigationLinks() {
         const prevBtn = document.getElementById('prev-category');
         const nextBtn = document.getElementById('next-category');
+        const currentIndex = this.getCategoryIndex();
 
         if (prevBtn) {
-            if (this.currentCategory === 'Man Casual') {
-                prevBtn.textContent = 'Home';
+            if (currentIndex <= 0) {
+                prevBtn.textContent = t('shop.home');
                 prevBtn.href = 'index.html';
             } else {
-                prevBtn.textContent = 'Back';
+                prevBtn.textContent = t('shop.back');
                 prevBtn.href = '#';
             }
         }
 
         if (nextBtn) {
-            if (this.currentCategory === 'Woman Accessories') {
-                nextBtn.textContent = 'Home';
+            if (currentIndex === this.categories.length - 1) {
+                nextBtn.textContent = t('shop.home');
                 nextBtn.href = 'index.html';
             } else {
-                nextBtn.textContent = 'Next Collection';
+                nextBtn.textContent = t('shop.nextCollection');
                 nextBtn.href = '#';
             }
         }
@@ -292,15 +275,16 @@ class ShopApp {
     goToPreviousCategory() {
         if (this.categories.length <= 1) return;
 
-        const currentIndex = this.categories.indexOf(this.currentCategory);
+        const currentIndex = this.getCategoryIndex();
         let prevIndex = currentIndex - 1;
 
-        if (currentIndex === 0) {
+        // Also leaves the favorites view, which is not in the list
+        if (currentIndex <= 0) {
             window.location.href = 'index.html';
             return;
         }
 
-        this.currentCategory = this.categories[prevIndex];
+        this.currentCategory = this.categories[prevIndex].name;
         this.currentPage = 1;
         this.updateCategoryNavigation();
     }
@@ -308,7 +292,7 @@ class ShopApp {
     goToNextCategory() {
         if (this.categories.length <= 1) return;
 
-        const currentIndex = this.categories.indexOf(this.currentCategory);
+        const currentIndex = this.getCategoryIndex();
         let nextIndex = currentIndex + 1;
 
         if (currentIndex === this.categories.length - 1) {
@@ -316,16 +300,22 @@ class ShopApp {
             return;
         }
 
-        this.currentCategory = this.categories[nextIndex];
+        this.currentCategory = this.categories[nextIndex].name;
         this.currentPage = 1;
         this.updateCategoryNavigation();
     }
 
     updateCategoryNavigation() {
+        // Browsing a category leaves search mode and any shared favorites list
+        this.searchQuery = '';
+        if (this.searchInput) this.searchInput.value = '';
+        this.sharedIds = null;
+
         if (document.getElementById('category-select')) {
             document.getElementById('category-select').value = this.currentCategory;
         }
 
+        this.renderFilterControls();
         this.updateURL();
         this.updateNavigationLinks();
         this.displayProducts();
@@ -350,6 +340,11 @@ class ShopApp {
         }
 
         document.addEventListener('keydown', (e) => {
+            // Arrow keys move the caret while typing, not the category
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+            // Nothing behind an open popup or cart reacts to the keyboard
+            if (document.querySelector('[aria-modal="true"]')) return;
+
             if (e.key === 'ArrowLeft') {
                 e.preventDefault();
                 this.goToPreviousCategory();
@@ -361,14 +356,379 @@ class ShopApp {
         });
     }
 
+    setupSearch() {
+        if (!this.searchInput) return;
+
+        this.searchInput.value = this.searchQuery;
+
+        const form = this.searchInput.closest('form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                clearTimeout(this.searchTimer);
+                this.search(this.searchInput.value);
+            });
+        }
+
+        // Search as the user types; the URL entry is replaced rather than pushed per keystroke
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.search(this.searchInput.value, true);
+            }, 250);
+        });
+    }
+
+    search(query, replaceHistory = false) {
+        const trimmed = query.trim();
+        if (trimmed === this.searchQuery) return;
+
+        this.searchQuery = trimmed;
+        this.currentPage = 1;
+        this.renderFilterControls();
+        this.updateURL(replaceHistory);
+        this.updatePageTitle();
+        this.displayProducts();
+    }
+
+    // The query comes from the URL, so it must never be injected as markup.
+    // Quotes are escaped too, for values that go into attributes.
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // Products of the current category or search, before price/size filters
+    getBaseProducts() {
+        if (this.searchQuery && window.ProductSearch) {
+            return ProductSearch.filter(this.products, this.searchQuery);
+        }
+        if (this.isFavoritesView()) {
+            // Saved order, skipping ids that are no longer in the catalog
+            return this.getFavoriteIds()
+                .map(id => ProductCatalog.findById(this.products, id))
+                .filter(Boolean);
+        }
+        return this.products.filter(product => product.category === this.currentCategory);
+    }
+
+    // Price, size and stock filters; the type chips count what is left after these
+    applyRefinements(products) {
+        if (this.minPrice !== null) {
+            products = products.filter(p => p.calculateDiscountedPrice() >= this.minPrice);
+        }
+        if (this.maxPrice !== null) {
+            products = products.filter(p => p.calculateDiscountedPrice() <= this.maxPrice);
+        }
+        if (this.selectedSizes.length > 0) {
+            products = products.filter(p => p.size.some(size => this.selectedSizes.includes(size)));
+        }
+        if (this.hideSoldOut) {
+            products = products.filter(p => !p.isSoldOut());
+        }
+        return products;
+    }
+
+    getFilteredProducts() {
+        let products = this.applyRefinements(this.getBaseProducts());
+
+        if (this.selectedType) {
+            products = products.filter(p => p.type === this.selectedType);
+        }
+
+        return this.sortProducts(products);
+    }
+
+    sortProducts(products) {
+        const sorted = [...products];
+
+        switch (this.sortBy) {
+            case 'price-asc':
+                return sorted.sort((a, b) => a.calculateDiscountedPrice() - b.calculateDiscountedPrice());
+            case 'price-desc':
+                return sorted.sort((a, b) => b.calculateDiscountedPrice() - a.calculateDiscountedPrice());
+            case 'newest':
+                return sorted.sort((a, b) => b.id - a.id);
+            case 'discount':
+                return sorted.sort((a, b) => b.getDiscountPercent() - a.getDiscountPercent());
+            case 'name':
+                return sorted.sort((a, b) => a.getName().localeCompare(b.getName(), I18n.getLocale()));
+            default:
+                return sorted;
+        }
+    }
+
+    getAvailableSizes() {
+        const sizes = new Set();
+        this.getBaseProducts().forEach(product => product.size.forEach(size => sizes.add(size)));
+
+        const rank = (size) => {
+            const index = this.sizeOrder.indexOf(size);
+            return index === -1 ? this.sizeOrder.length : index;
+        };
+        return [...sizes].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+    }
+
+    getAvailableTypes() {
+        const types = new Set(this.getBaseProducts().map(product => product.type).filter(Boolean));
+        return [...types].sort((a, b) => a.localeCompare(b, I18n.getLocale()));
+    }
+
+    renderFilterControls() {
+        if (!this.filtersContainer) return;
+
+        const sizes = this.getAvailableSizes();
+        // Drop sizes that do not exist in the new category or search
+        this.selectedSizes = this.selectedSizes.filter(size => sizes.includes(size));
+        // Same for the type, which links may also write in lower case
+        this.selectedType = this.getAvailableTypes()
+            .find(type => type.toLowerCase() === this.selectedType.toLowerCase()) || '';
+
+        this.filtersContainer.innerHTML = `
+            <label class="filter-group">
+                <span>${t('sort.label')}</span>
+                <select id="sort-select">
+                    ${Object.entries(this.sortOptions).map(([value, key]) => `
+                        <option value="${value}" ${value === this.sortBy ? 'selected' : ''}>${t(key)}</option>
+                    `).join('')}
+                </select>
+            </label>
+
+            <div class="filter-group price-filter">
+                <span>${t(CurrencyConverter.isBase() ? 'filter.price' : 'filter.priceIDR')}</span>
+                <input type="number" id="min-price" min="0" step="1000" placeholder="${t('filter.min')}"
+                       aria-label="${t('filter.minLabel')}" value="${this.minPrice !== null ? this.minPrice : ''}">
+                <span class="price-separator">-</span>
+                <input type="number" id="max-price" min="0" step="1000" placeholder="${t('filter.max')}"
+                       aria-label="${t('filter.maxLabel')}" value="${this.maxPrice !== null ? this.maxPrice : ''}">
+            </div>
+
+            ${sizes.length > 0 ? `
+            <div class="filter-group size-filter" role="group" aria-label="${t('filter.sizeLabel')}">
+                <span>${t('filter.size')}</span>
+                ${sizes.map(size => `
+                    <label class="size-filter-option">
+                        <input type="checkbox" value="${size}" ${this.selectedSizes.includes(size) ? 'checked' : ''}>
+                        <span class="size-tag">${size}</span>
+                    </label>
+                `).join('')}
+            </div>
+            ` : ''}
+
+            <label class="filter-group stock-filter">
+                <input type="checkbox" id="hide-sold-out" ${this.hideSoldOut ? 'checked' : ''}>
+                <span>${t('filter.hideSoldOut')}</span>
+            </label>
+
+            <button type="button" class="clear-filters-btn" id="clear-filters">${t('filter.clear')}</button>
+        `;
+
+        this.addFilterEventListeners();
+    }
+
+    addFilterEventListeners() {
+        const sortSelect = this.filtersContainer.querySelector('#sort-select');
+        sortSelect.addEventListener('change', () => {
+            this.sortBy = sortSelect.value;
+            this.applyFilters();
+        });
+
+        const minInput = this.filtersContainer.querySelector('#min-price');
+        const maxInput = this.filtersContainer.querySelector('#max-price');
+        const readPrice = (input) => input.value === '' ? null : Math.max(0, parseInt(input.value) || 0);
+
+        [minInput, maxInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.minPrice = readPrice(minInput);
+                this.maxPrice = readPrice(maxInput);
+
+                // A reversed range is almost always a typo, so swap it
+                if (this.minPrice !== null && this.maxPrice !== null && this.minPrice > this.maxPrice) {
+                    [this.minPrice, this.maxPrice] = [this.maxPrice, this.minPrice];
+                    minInput.value = this.minPrice;
+                    maxInput.value = this.maxPrice;
+                }
+                this.applyFilters();
+            });
+        });
+
+        this.filtersContainer.querySelectorAll('.size-filter input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.selectedSizes = Array.from(this.filtersContainer.querySelectorAll('.size-filter input:checked'))
+                    .map(input => input.value);
+                this.applyFilters();
+            });
+        });
+
+        const hideSoldOutInput = this.filtersContainer.querySelector('#hide-sold-out');
+        hideSoldOutInput.addEventListener('change', () => {
+            this.hideSoldOut = hideSoldOutInput.checked;
+            this.applyFilters();
+        });
+
+        const clearBtn = this.filtersContainer.querySelector('#clear-filters');
+        clearBtn.addEventListener('click', () => {
+            this.sortBy = '';
+            this.minPrice = null;
+            this.maxPrice = null;
+            this.selectedSizes = [];
+            this.hideSoldOut = false;
+            this.selectedType = '';
+            this.renderFilterControls();
+            this.applyFilters();
+        });
+    }
+
+    hasActiveFilters() {
+        return this.minPrice !== null || this.maxPrice !== null || this.selectedSizes.length > 0 ||
+            this.hideSoldOut || this.selectedType !== '';
+    }
+
+    // One chip per product type with the number of products it would show,
+    // hidden when the category has a single type
+    renderTypeFilter() {
+        if (!this.typeFilter) return;
+
+        const types = this.getAvailableTypes();
+        if (types.length < 2) {
+            this.typeFilter.hidden = true;
+            this.typeFilter.innerHTML = '';
+            return;
+        }
+
+        const counts = {};
+        const refined = this.applyRefinements(this.getBaseProducts());
+        refined.forEach(product => {
+            counts[product.type] = (counts[product.type] || 0) + 1;
+        });
+
+        const chip = (type, label, count) => `
+            <button type="button" class="type-chip" data-type="${this.escapeHTML(type)}" aria-pressed="${type === this.selectedType}"
+                    ${count === 0 && type !== this.selectedType ? 'disabled' : ''}>
+                ${this.escapeHTML(label)} <span class="type-chip-count">${I18n.formatNumber(count)}</span>
+            </button>
+        `;
+
+        this.typeFilter.hidden = false;
+        this.typeFilter.innerHTML = chip('', t('filter.allTypes'), refined.length) +
+            types.map(type => chip(type, type, counts[type] || 0)).join('');
+    }
+
+    applyFilters() {
+        this.currentPage = 1;
+        this.updateURL();
+        this.displayProducts();
+    }
+
+    // Back/forward restore the exact view that updateURL() recorded
+    handlePopState() {
+        // Opening or closing a popup does not change the grid
+        const viewKey = this.getViewKey();
+        if (viewKey === this.viewKey) {
+            this.popupView.syncWithURL(this.products);
+            return;
+        }
+        this.viewKey = viewKey;
+
+        this.readStateFromURL();
+        this.resolveCurrentCategory();
+        if (this.searchInput) this.searchInput.value = this.searchQuery;
+
+        this.renderFilterControls();
+        this.updatePageTitle();
+        this.updateNavigationLinks();
+        this.displayProducts();
+        this.restoreScrollPosition();
+        this.popupView.syncWithURL(this.products);
+    }
+
+    // Share / save controls above the favorites grid
+    renderFavoritesBar() {
+        if (!this.favoritesBar) return;
+
+        const ids = this.getFavoriteIds();
+        if (!this.isFavoritesView() || ids.length === 0) {
+            this.favoritesBar.hidden = true;
+            this.favoritesBar.innerHTML = '';
+            return;
+        }
+
+        this.favoritesBar.hidden = false;
+        this.favoritesBar.innerHTML = this.sharedIds ? `
+            <p>${t('favorites.sharedWithYou', { count: ids.length })}</p>
+            <button type="button" class="favorites-action" id="save-shared-favorites">
+                <i class="far fa-heart"></i> <span>${t('favorites.saveAll')}</span>
+            </button>
+            <a href="./Products.html?category=${this.favoritesCategory}" class="favorites-link">${t('favorites.viewMine')}</a>
+        ` : `
+            <button type="button" class="favorites-action" id="share-favorites">
+                <i class="fas fa-share-alt"></i> <span>${t('favorites.share')}</span>
+            </button>
+        `;
+
+        const shareBtn = this.favoritesBar.querySelector('#share-favorites');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => {
+                shareLink({
+                    title: t('favorites.shareTitle'),
+                    text: t('favorites.shareText'),
+                    url: window.wishlist.getShareURL()
+                }, shareBtn);
+            });
+        }
+
+        const saveBtn = this.favoritesBar.querySelector('#save-shared-favorites');
+        if (saveBtn && window.wishlist) {
+            saveBtn.addEventListener('click', () => {
+                window.wishlist.addAll(this.sharedIds);
+                saveBtn.disabled = true;
+                saveBtn.innerHTML = `<i class="fas fa-heart"></i> <span>${t('favorites.saved')}</span>`;
+            });
+        }
+    }
+
     displayProducts() {
-        const filteredProducts = this.products.filter(product => product.category === this.currentCategory);
+        const filteredProducts = this.getFilteredProducts();
+        this.renderFavoritesBar();
+        this.renderTypeFilter();
 
-        if (filteredProducts.length === 0) {
+        if (filteredProducts.length === 0 && this.hasActiveFilters()) {
             this.container.innerHTML = `
             <div class="no-products">
-                <p>No products available in the "${this.currentCategory}" category</p>
-                <p class="category-hint">Select another category from the dropdown above</p>
+                <p>${t('shop.noFilterMatches')}</p>
+                <p class="category-hint">${t('shop.noFilterMatchesHint')}</p>
+            </div>
+        `;
+            if (this.paginationContainer) {
+                this.paginationContainer.innerHTML = '';
+            }
+            return;
+        }
+
+        if (filteredProducts.length === 0 && this.isFavoritesView()) {
+            this.container.innerHTML = `
+            <div class="no-products">
+                <p>${t(this.sharedIds ? 'shop.noSharedFavorites' : 'shop.noFavorites')}</p>
+                <p class="category-hint">${t('shop.favoritesHint')}</p>
+            </div>
+        `;
+            if (this.paginationContainer) {
+                this.paginationContainer.innerHTML = '';
+            }
+            return;
+        }
+
+        if (filteredProducts.length === 0) {
+            this.container.innerHTML = this.searchQuery ? `
+            <div class="no-products">
+                <p>${t('shop.noSearchResults', { query: this.escapeHTML(this.searchQuery) })}</p>
+                <p class="category-hint">${t('shop.searchHint')}</p>
+            </div>
+        ` : `
+            <div class="no-products">
+                <p>${t('shop.emptyCategory', { category: this.getCurrentCategory() ? this.getCurrentCategory().getTitle() : '' })}</p>
+                <p class="category-hint">${t('shop.emptyCategoryHint')}</p>
             </div>
         `;
             if (this.paginationContainer) {
@@ -386,19 +746,87 @@ class ShopApp {
             this.currentPage = 1;
         }
 
-        const startIndex = (this.currentPage - 1) * this.productsPerPage;
-        const endIndex = startIndex + this.productsPerPage;
+        // Appending modes show every page up to the current one
+        const startIndex = this.isAppendMode() ? 0 : (this.currentPage - 1) * this.productsPerPage;
+        const endIndex = this.currentPage * this.productsPerPage;
         const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
 
         this.container.innerHTML = paginatedProducts
-            .map(product => product.createHTML())
+            .map(product => product.createHTML(this.searchQuery))
             .join('');
 
-        this.addPaginationControls(filteredProducts.length);
-        this.addEventListeners();
+        if (this.isAppendMode()) {
+            this.addLoadMoreControls(filteredProducts.length);
+        } else {
+            this.addPaginationControls(filteredProducts.length);
+        }
         this.addImageHoverEffects();
     }
 
+    // Appends the next page below the cards already shown
+    loadMore() {
+        if (this.currentPage >= this.totalPages) return;
+
+        const filteredProducts = this.getFilteredProducts();
+        const startIndex = this.currentPage * this.productsPerPage;
+        const nextProducts = filteredProducts.slice(startIndex, startIndex + this.productsPerPage);
+
+        this.currentPage++;
+        const shownBefore = this.container.children.length;
+        this.container.insertAdjacentHTML('beforeend', nextProducts
+            .map(product => product.createHTML(this.searchQuery))
+            .join(''));
+
+        // Same view, so the page number replaces the history entry instead of adding one
+        this.updateURL(true);
+        this.addLoadMoreControls(filteredProducts.length);
+        this.addImageHoverEffects(Array.from(this.container.children).slice(shownBefore));
+    }
+
+    addLoadMoreControls(totalProducts) {
+        const shown = Math.min(this.currentPage * this.productsPerPage, totalProducts);
+        const hasMore = this.currentPage < this.totalPages;
+
+        const loadMoreHTML = `
+        <div class="pagination-wrapper load-more-wrapper">
+            <div class="pagination-info" aria-live="polite">
+                ${t('shop.showingCount', { shown, total: totalProducts })}
+            </div>
+            ${hasMore ? `
+            <button class="pagination-btn load-more-btn" id="load-more">
+                ${t('shop.loadMore')}
+            </button>
+            ` : ''}
+        </div>
+    `;
+
+        if (this.paginationContainer) {
+            this.paginationContainer.innerHTML = loadMoreHTML;
+        } else {
+            this.container.insertAdjacentHTML('beforeend', loadMoreHTML);
+        }
+
+        const loadMoreBtn = document.getElementById('load-more');
+        if (!loadMoreBtn) {
+            if (this.loadMoreObserver) this.loadMoreObserver.disconnect();
+            return;
+        }
+
+        loadMoreBtn.addEventListener('click', () => this.loadMore());
+
+        // Infinite mode loads as the button nears the viewport; the button stays as a fallback
+        if (this.options.browseMode === 'infinite' && 'IntersectionObserver' in window) {
+            if (!this.loadMoreObserver) {
+                this.loadMoreObserver = new IntersectionObserver(entries => {
+                    if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+                }, { rootMargin: '400px 0px' });
+            }
+            // A new button is reported at once, so a short page keeps filling up
+            this.loadMoreObserver.disconnect();
+            this.loadMoreObserver.observe(loadMoreBtn);
+        }
+    }
+
     addPaginationControls(totalProducts) {
         const startProduct = ((this.currentPage - 1) * this.productsPerPage) + 1;
         const endProduct = Math.min(this.currentPage * this.productsPerPage, totalProducts);
@@ -406,13 +834,13 @@ class ShopApp {
         const paginationHTML = `
         <div class="pagination-wrapper">
             <div class="pagination-info">
-                Showing ${startProduct} - ${endProduct} of ${totalProducts} products
+                ${t('shop.showingRange', { start: startProduct, end: endProduct, total: totalProducts })}
             </div>
             
             <div class="pagination-controls">
                 <button class="pagination-btn ${this.currentPage === 1 ? 'disabled' : ''}" 
                         id="prev-page" ${this.currentPage === 1 ? 'disabled' : ''}>
-                    ← Previous
+                    ${t('shop.previousPage')}
                 </button>
                 
                 <div class="page-numbers">
@@ -421,7 +849,7 @@ class ShopApp {
                 
                 <button class="pagination-btn ${this.currentPage === this.totalPages ? 'disabled' : ''}" 
                         id="next-page" ${this.currentPage === this.totalPages ? 'disabled' : ''}>
-                    Next →
+                    ${t('shop.nextPage')}
                 </button>
             </div>
         </div>
@@ -532,9 +960,8 @@ class ShopApp {
         });
     }
 
-    addImageHoverEffects() {
-        const productCards = this.container.querySelectorAll('.product-card');
-
+    // productCards: only the newly added cards when appending
+    addImageHoverEffects(productCards = this.container.querySelectorAll('.product-card')) {
         productCards.forEach(card => {
             const hoverImage = card.querySelector('.hover-image');
             if (hoverImage) {
@@ -553,128 +980,74 @@ class ShopApp {
         });
     }
 
-    showProductPopup(productId) {
-        const product = this.products.find(p => p.id === productId);
+    // opener: the card to focus again when the popup closes
+    showProductPopup(productId, opener = null) {
+        const product = ProductCatalog.findById(this.products, productId);
         if (!product) return;
 
-        this.closePopup();
-
-        this.popupContainer.innerHTML = product.createPopupHTML();
-        const popup = this.popupContainer.querySelector('.product-popup');
-
-        document.body.classList.add('popup-open');
-
-        requestAnimationFrame(() => {
-            popup.classList.add('active');
-        });
-
-        this.addPopupEventListeners(product);
+        this.popupView.show(product, { opener });
     }
 
     closePopup() {
-        const popup = this.popupContainer.querySelector('.product-popup');
-        if (popup) {
-            popup.classList.remove('active');
-            document.body.classList.remove('popup-open');
-
-            setTimeout(() => {
-                if (popup.classList.contains('active') === false) {
-                    this.popupContainer.innerHTML = '';
-                }
-            }, 300);
-        }
+        this.popupView.close();
     }
 
+    // Delegated, so it is added once and covers every card and chip rendered later
     addEventListeners() {
         this.container.addEventListener('click', (e) => {
+            // Anywhere on the card but its other controls, e.g. the heart
             const productCard = e.target.closest('.clickable-product');
-            if (productCard && !e.target.closest('a, button')) {
+            if (productCard && !e.target.closest('a, button:not(.product-card-open)')) {
                 const productId = parseInt(productCard.dataset.id);
-                this.showProductPopup(productId);
+                this.showProductPopup(productId, productCard.querySelector('.product-card-open'));
             }
         });
-    }
 
-    addPopupEventListeners(product) {
-        const popup = this.popupContainer.querySelector('.product-popup');
-        if (!popup) return;
+        if (this.typeFilter) {
+            this.typeFilter.addEventListener('click', (e) => {
+                const chip = e.target.closest('.type-chip');
+                if (!chip || chip.dataset.type === this.selectedType) return;
 
-        const closeBtn = popup.querySelector('.close-popup');
-        if (closeBtn) {
-            closeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.closePopup();
+                this.selectedType = chip.dataset.type;
+                this.applyFilters();
             });
         }
-
-        popup.addEventListener('click', (e) => {
-            if (e.target === popup) {
-                this.closePopup();
-            }
-        });
-
-        const escapeHandler = (e) => {
-            if (e.key === 'Escape') {
-                this.closePopup();
-                document.removeEventListener('keydown', escapeHandler);
-            }
-        };
-        document.addEventListener('keydown', escapeHandler);
-
-        if (product.hasMultipleImages()) {
-            const mainImage = popup.querySelector(`#main-image-${product.id}`);
-            const thumbnails = popup.querySelectorAll(`.thumbnail[data-id="${product.id}"]`);
-            const prevBtn = popup.querySelector('.prev-btn');
-            const nextBtn = popup.querySelector('.next-btn');
-
-            if (thumbnails.length > 0) {
-                thumbnails.forEach(thumb => {
-                    thumb.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        const index = parseInt(e.target.dataset.index);
-                        product.currentImageIndex = index;
-                        if (mainImage) mainImage.src = product.images[index];
-
-                        thumbnails.forEach(t => t.classList.remove('active'));
-                        e.target.classList.add('active');
-                    });
-                });
-            }
-
-            if (prevBtn) {
-                prevBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    product.previousImage();
-                    if (mainImage) mainImage.src = product.images[product.currentImageIndex];
-
-                    if (thumbnails.length > 0) {
-                        thumbnails.forEach(t => t.classList.remove('active'));
-                        thumbnails[product.currentImageIndex].classList.add('active');
-                    }
-                });
-            }
-
-            if (nextBtn) {
-                nextBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    product.nextImage();
-                    if (mainImage) mainImage.src = product.images[product.currentImageIndex];
-
-                    if (thumbnails.length > 0) {
-                        thumbnails.forEach(t => t.classList.remove('active'));
-                        thumbnails[product.currentImageIndex].classList.add('active');
-                    }
-                });
-            }
-        }
     }
 
     async init() {
-        await this.loadProducts();
+        // The error message stays in place of the products
+        if (!await this.loadProducts()) return;
+        this.redirectToCategorySlug();
+        this.renderFilterControls();
         this.displayProducts();
+        this.restoreScrollPosition();
         this.updatePageTitle();
+        this.addEventListeners();
+        this.setupSearch();
         this.setupNavigationListeners();
+        window.addEventListener('popstate', () => this.handlePopState());
+        // Leaving for another page: remember where we were for the way back
+        window.addEventListener('pagehide', () => this.saveScrollPosition());
         this.updateNavigationLinks();
+
+        // Un-hearting a product removes it from our own favorites grid
+        document.addEventListener('wishlistchange', () => {
+            if (this.isFavoritesView() && !this.sharedIds) this.displayProducts();
+        });
+
+        // The price range is always in IDR; its label says so in other currencies
+        document.addEventListener('currencychange', () => this.renderFilterControls());
+
+        document.addEventListener('languagechange', () => {
+            this.renderFilterControls();
+            this.updatePageTitle();
+            this.updateNavigationLinks();
+            this.displayProducts();
+        });
+
+        // Shared product links (?product=<id>) open straight into the popup
+        this.viewKey = this.getViewKey();
+        this.popupView.syncWithURL(this.products);
     }
 }
 
@@ -1,4 +1,13 @@
-// slider-manager.js - WITH INFINITE LOOPING SHOWING 6 CARDS
+// slider-manager.js - WITH INFINITE LOOPING; the number of cards shown
+// follows the viewport width (options.breakpoints). Autoplay is opt-in with
+// options.autoSlide or data-autoplay on the container (needs i18n.js).
+// Follows the WAI-ARIA carousel pattern: a labelled region, slide positions,
+// dot buttons, left/right keys and a live region for screen readers.
+
+const DRAG_EDGE_RESISTANCE = 0.35; // Share of the movement past either end without a loop
+const FLICK_MOMENTUM_MS = 250; // A flick carries on as far as its speed goes in this time
+const CLICK_DRAG_DISTANCE = 5; // Pointer movement (px) that turns a click into a drag
+const WHEEL_SNAP_DELAY = 120; // Quiet time (ms) after which wheel scrolling snaps to a card
 
 class CardSlider {
     constructor(containerId, options = {}) {
@@ -16,10 +25,26 @@ class CardSlider {
                 : null;
 
         this.options = {
-            cardsToShow: 6, // Show 6 cards at once
+            cardsToShow: 1, // Below the first breakpoint
+            // Viewport min-width -> options, like Swiper's breakpoints. The
+            // cards are sized so exactly cardsToShow fit the row
+            breakpoints: {
+                480: { cardsToShow: 2 },
+                768: { cardsToShow: 3 },
+                1024: { cardsToShow: 4 },
+                1280: { cardsToShow: 5 },
+                1600: { cardsToShow: 6 }
+            },
             autoSlide: false, // Auto-slide turned OFF
             slideInterval: 5000,
             loop: true,
+            // Markup can configure a row: data-autoplay="true" data-autoplay-interval="4000"
+            ...(this.container.dataset.autoplay !== undefined && {
+                autoSlide: this.container.dataset.autoplay !== 'false'
+            }),
+            ...(Number(this.container.dataset.autoplayInterval) > 0 && {
+                slideInterval: Number(this.container.dataset.autoplayInterval)
+            }),
             ...options
         };
 
@@ -32,84 +57,315 @@ class CardSlider {
         this.currentIndex = 0;
 
         this.gestureResetTimer = null;
+        this.loopTimer = null;
+        this.resizeTimer = null;
+        this.wheelTimer = null;
         this.isAnimating = false;
 
+        // Recent { x, time } pointer positions of the current drag, for its speed
+        this.dragSamples = [];
+        // { move, up } on the document while the mouse drags the row
+        this.mouseDragListeners = null;
+        // Set after a drag so the click that ends it does not open a card
+        this.suppressClick = false;
+
+        // Autoplay only runs while this is empty: 'user' (pause button or
+        // reduced motion), 'hover', 'focus', 'touch', 'hidden' and 'offscreen'
+        this.pauseReasons = new Set();
+        this.autoSlideInterval = null;
+        this.autoplayToggle = null;
+        this.visibilityObserver = null;
+        this.liveRegion = null;
+
+        // [target, type, listener, options] of everything added, for destroy()
+        this.handlers = [];
+
         this.init();
     }
 
     init() {
+        this.setupAccessibility();
+        this.build();
+        this.setupEventListeners();
+
+        if (this.options.autoSlide) {
+            this.setupAutoplay();
+        }
+    }
+
+    // Options for the current viewport: the base options with every
+    // breakpoint up to its width applied on top, smallest first
+    getBreakpointOptions() {
+        const breakpoints = this.options.breakpoints || {};
+        return Object.keys(breakpoints)
+            .map(Number)
+            .filter(minWidth => window.innerWidth >= minWidth)
+            .sort((a, b) => a - b)
+            .reduce((settings, minWidth) => ({ ...settings, ...breakpoints[minWidth] }), { ...this.options });
+    }
+
+    // Clones, card widths and dots for the current viewport and cards,
+    // showing the real card at realIndex first
+    build(realIndex = 0) {
+        clearTimeout(this.loopTimer);
+        this.isAnimating = false;
+
+        this.settings = this.getBreakpointOptions();
         this.setupInfiniteLoop();
         this.calculateCardWidth();
         this.createDots();
-        this.setupEventListeners();
+        this.updateLabels();
 
-        if (this.options.loop) {
-            setTimeout(() => {
-                this.currentIndex = this.totalRealCards;
-                this.slideToIndex(this.currentIndex, false);
-            }, 10);
-        }
+        this.slideToRealIndex(Math.min(realIndex, Math.max(this.totalRealCards - 1, 0)), false);
+    }
 
-        // Auto-slide is disabled by default, but we'll check anyway
-        if (this.options.autoSlide) {
-            this.startAutoSlide();
-        }
+    // Rebuilds the slider for the cards now in the wrapper, e.g. after they
+    // were replaced, staying on the same position where possible
+    refresh() {
+        if (!this.wrapper) return;
+        this.build(this.totalRealCards ? this.getRealIndex() : 0);
+    }
+
+    // Removes clones, dots, inline styles and listeners; the real cards stay
+    destroy() {
+        if (!this.wrapper) return;
+
+        clearInterval(this.autoSlideInterval);
+        clearTimeout(this.loopTimer);
+        clearTimeout(this.resizeTimer);
+        clearTimeout(this.gestureResetTimer);
+        clearTimeout(this.wheelTimer);
+
+        this.handlers.forEach(([target, type, listener, options]) => target.removeEventListener(type, listener, options));
+        this.handlers = [];
+        this.removeMouseDragListeners();
+
+        if (this.visibilityObserver) this.visibilityObserver.disconnect();
+        if (this.autoplayToggle) this.autoplayToggle.remove();
+        if (this.liveRegion) this.liveRegion.remove();
+        this.visibilityObserver = null;
+        this.autoplayToggle = null;
+        this.liveRegion = null;
+
+        this.removeClones();
+        this.wrapper.querySelectorAll('.product-card').forEach(card => {
+            card.style.flex = '';
+            const position = card.querySelector('.slide-position');
+            if (position) position.remove();
+        });
+        this.wrapper.classList.remove('dragging');
+        this.wrapper.style.transition = '';
+        this.wrapper.style.transform = '';
+
+        if (this.dotsContainer) this.dotsContainer.innerHTML = '';
+        this.dots = null;
     }
 
     setupInfiniteLoop() {
+        this.removeClones();
+
         const cards = Array.from(this.wrapper.querySelectorAll('.product-card'));
         this.totalRealCards = cards.length;
+        this.cloneCount = 0;
+
+        // Looping only makes sense with more cards than fit in the row
+        this.isLooping = this.settings.loop && this.totalRealCards > this.settings.cardsToShow;
 
-        if (this.totalRealCards <= this.options.cardsToShow) {
-            this.options.loop = false;
+        if (!this.isLooping) {
+            this.totalCards = this.totalRealCards;
+            this.maxIndex = Math.max(this.totalCards - this.settings.cardsToShow, 0);
             return;
         }
 
         // Clone cards for infinite loop effect
         // Clone enough cards to cover the viewport when looping
-        const cloneCount = Math.min(this.totalRealCards, this.options.cardsToShow);
+        this.cloneCount = this.settings.cardsToShow;
 
-        const firstCards = cards.slice(0, cloneCount).map(card => card.cloneNode(true));
-        const lastCards = cards.slice(-cloneCount).map(card => card.cloneNode(true));
+        const firstCards = cards.slice(0, this.cloneCount).map(card => card.cloneNode(true));
+        const lastCards = cards.slice(-this.cloneCount).map(card => card.cloneNode(true));
 
-        // Add clones to the DOM
-        lastCards.forEach(card => {
+        // Clones are only there to look continuous: keep them out of the
+        // tab order and the accessibility tree. Not inert, because at either
+        // end of the loop they are in view and can be clicked.
+        [...lastCards, ...firstCards].forEach(card => {
             card.classList.add('clone');
-            this.wrapper.insertBefore(card, this.wrapper.firstChild);
+            card.setAttribute('aria-hidden', 'true');
+            card.querySelectorAll('a, button, [tabindex]').forEach(el => el.setAttribute('tabindex', '-1'));
         });
 
-        firstCards.forEach(card => {
-            card.classList.add('clone');
-            this.wrapper.appendChild(card);
-        });
+        // Add clones to the DOM
+        lastCards.forEach(card => this.wrapper.insertBefore(card, this.wrapper.firstChild));
+        firstCards.forEach(card => this.wrapper.appendChild(card));
 
         // Update total cards count including clones
         this.totalCards = this.wrapper.querySelectorAll('.product-card').length;
-        this.maxIndex = this.totalCards - this.options.cardsToShow;
+        this.maxIndex = this.totalCards - this.settings.cardsToShow;
     }
 
+    removeClones() {
+        this.wrapper.querySelectorAll('.product-card.clone').forEach(clone => clone.remove());
+    }
+
+    getRealCards() {
+        return Array.from(this.wrapper.querySelectorAll('.product-card:not(.clone)'));
+    }
+
+    // Region, arrow and live region markup; labels are set by updateLabels()
+    setupAccessibility() {
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-roledescription', t('slider.carousel'));
+
+        // Named by the row's heading when there is one
+        const titleRow = this.container.previousElementSibling;
+        const heading = titleRow && titleRow.querySelector('h2, h3');
+        if (heading) {
+            if (!heading.id) heading.id = `${this.container.id}-title`;
+            this.container.setAttribute('aria-labelledby', heading.id);
+        }
+
+        if (!this.wrapper.id) this.wrapper.id = `${this.container.id}-cards`;
+        [this.prevArrow, this.nextArrow].filter(Boolean).forEach(arrow => {
+            arrow.type = 'button';
+            arrow.setAttribute('aria-controls', this.wrapper.id);
+        });
+
+        if (this.dotsContainer) {
+            this.dotsContainer.setAttribute('role', 'group');
+        }
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'visually-hidden';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.liveRegion);
+    }
+
+    // All texts that depend on the language or the number of cards
+    updateLabels() {
+        if (!this.container.hasAttribute('aria-labelledby')) {
+            this.container.setAttribute('aria-label', t('slider.label'));
+        }
+        this.container.setAttribute('aria-roledescription', t('slider.carousel'));
+        if (this.prevArrow) this.prevArrow.setAttribute('aria-label', t('slider.previous'));
+        if (this.nextArrow) this.nextArrow.setAttribute('aria-label', t('slider.next'));
+        if (this.dotsContainer) this.dotsContainer.setAttribute('aria-label', t('slider.choose'));
+
+        // "3 of 10" is read with the card, which stays a button
+        const cards = this.getRealCards();
+        cards.forEach((card, i) => {
+            let position = card.querySelector('.slide-position');
+            if (!position) {
+                position = document.createElement('span');
+                position.className = 'slide-position visually-hidden';
+                card.appendChild(position);
+            }
+            position.textContent = t('slider.position', { index: i + 1, total: cards.length });
+        });
+
+        if (this.dots) {
+            this.dots.forEach((dot, i) => dot.setAttribute('aria-label', t('slider.goTo', { index: i + 1 })));
+        }
+    }
+
+    // Tells screen readers which cards are in view after a move
+    announcePosition() {
+        if (!this.liveRegion) return;
+
+        const total = this.totalRealCards;
+        const from = this.getRealIndex() + 1;
+        const to = from + this.settings.cardsToShow - 1;
+        // A view that wraps past the last card is announced by its first card
+        this.liveRegion.textContent = this.settings.cardsToShow > 1 && to <= total
+            ? t('slider.showing', { from, to, total })
+            : t('slider.position', { index: from, total });
+    }
+
+    // A card reached with Tab is brought into view (the browser would
+    // otherwise scroll the overflow and misalign the row)
+    handleFocusIn(e) {
+        const card = e.target.closest('.product-card');
+        this.container.scrollLeft = 0;
+        if (!card || card.classList.contains('clone')) return;
+
+        const index = this.getRealCards().indexOf(card);
+        if (index === -1) return;
+        const offset = (index - this.getRealIndex() + this.totalRealCards) % this.totalRealCards;
+        if (offset >= this.settings.cardsToShow) {
+            this.slideToRealIndex(this.isLooping ? index : Math.min(index, this.maxIndex));
+        }
+    }
+
+    // Left/right anywhere inside the slider; focus on a card follows the row
+    handleKeyDown(e) {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        if (e.target.closest('input, textarea, select')) return;
+
+        // Keeps the shop's category keys from also reacting
+        e.preventDefault();
+        e.stopPropagation();
+
+        const onCard = e.target.closest('.product-card');
+        if (e.key === 'ArrowLeft') {
+            this.slidePrev();
+        } else {
+            this.slideNext();
+        }
+
+        if (onCard) {
+            // After a loop jump the first card in view is a real one again
+            const card = this.getRealCards()[this.getRealIndex()];
+            const button = card && card.querySelector('.product-card-open');
+            if (button) button.focus({ preventScroll: true });
+        }
+    }
+
+    // Sizes every card so exactly cardsToShow fit the visible row
     calculateCardWidth() {
-        const card = this.wrapper.querySelector('.product-card');
-        if (!card) return;
+        const cards = this.wrapper.querySelectorAll('.product-card');
+        if (cards.length === 0) return;
+
+        const gap = parseFloat(window.getComputedStyle(this.wrapper).gap) || 0;
+        const visibleWidth = this.wrapper.clientWidth;
+        this.lastWidth = window.innerWidth;
+
+        // A hidden row has no width yet; keep the CSS card width until the next refresh()
+        if (visibleWidth > 0) {
+            const count = this.settings.cardsToShow;
+            const cardWidth = (visibleWidth - gap * (count - 1)) / count;
+            cards.forEach(card => {
+                card.style.flex = `0 0 ${cardWidth}px`;
+            });
+        }
 
+        const card = cards[0];
         const style = window.getComputedStyle(card);
-        const gap = parseFloat(window.getComputedStyle(this.wrapper).gap || 0);
 
         this.cardFullWidth =
-            card.offsetWidth +
+            card.getBoundingClientRect().width +
             parseFloat(style.marginLeft || 0) +
             parseFloat(style.marginRight || 0) +
             gap;
     }
 
+    // One dot per position the row can start at: every real card when
+    // looping, otherwise up to the last full view
     createDots() {
-        if (!this.dotsContainer || !this.options.loop) return;
+        this.dots = null;
+        if (!this.dotsContainer) return;
 
         this.dotsContainer.innerHTML = '';
-        for (let i = 0; i < this.totalRealCards; i++) {
-            const dot = document.createElement('span');
+        const count = this.isLooping ? this.totalRealCards : this.maxIndex + 1;
+        if (count < 2) return;
+
+        for (let i = 0; i < count; i++) {
+            const dot = document.createElement('button');
+            dot.type = 'button';
             dot.className = 'dot';
-            if (i === 0) dot.classList.add('active');
+            if (i === 0) {
+                dot.classList.add('active');
+                dot.setAttribute('aria-current', 'true');
+            }
+            dot.setAttribute('aria-controls', this.wrapper.id);
             dot.addEventListener('click', () => this.slideToRealIndex(i));
             this.dotsContainer.appendChild(dot);
         }
@@ -117,12 +373,16 @@ class CardSlider {
         this.dots = this.dotsContainer.querySelectorAll('.dot');
     }
 
-    slideToRealIndex(realIndex) {
-        if (this.options.loop) {
-            this.slideToIndex(realIndex + this.options.cardsToShow);
-        } else {
-            this.slideToIndex(realIndex);
-        }
+    slideToRealIndex(realIndex, animate = true) {
+        this.slideToIndex(realIndex + this.cloneCount, animate);
+    }
+
+    // Position among the real cards of the first card in view
+    getRealIndex() {
+        if (!this.isLooping) return this.currentIndex;
+
+        const index = (this.currentIndex - this.cloneCount) % this.totalRealCards;
+        return index < 0 ? index + this.totalRealCards : index;
     }
 
     forceResetGesture() {
@@ -137,48 +397,78 @@ class CardSlider {
         this.wrapper.style.transition = 'transform 0.3s ease';
     }
 
+    listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.handlers.push([target, type, listener, options]);
+    }
+
     setupEventListeners() {
-        this.wrapper.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: true });
-        this.wrapper.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        this.wrapper.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        this.listen(this.wrapper, 'touchstart', this.handleTouchStart.bind(this), { passive: true });
+        this.listen(this.wrapper, 'touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.listen(this.wrapper, 'touchend', this.handleTouchEnd.bind(this));
 
-        this.wrapper.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.listen(this.wrapper, 'mousedown', this.handleMouseDown.bind(this));
+        this.listen(this.wrapper, 'wheel', this.handleWheel.bind(this), { passive: false });
+
+        // Capturing, so the card's own onclick never sees a click that ended a drag
+        this.listen(this.wrapper, 'click', (e) => {
+            if (!this.suppressClick) return;
+            this.suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
 
         if (this.prevArrow) {
-            this.prevArrow.addEventListener('click', () => this.slidePrev());
+            this.listen(this.prevArrow, 'click', () => this.slidePrev());
         }
         if (this.nextArrow) {
-            this.nextArrow.addEventListener('click', () => this.slideNext());
+            this.listen(this.nextArrow, 'click', () => this.slideNext());
         }
 
-        window.addEventListener('resize', () => {
-            this.calculateCardWidth();
-            this.slideToIndex(this.currentIndex, false);
+        this.listen(this.container, 'keydown', this.handleKeyDown.bind(this));
+        this.listen(this.wrapper, 'focusin', this.handleFocusIn.bind(this));
+        this.listen(document, 'languagechange', () => this.updateLabels());
+
+        this.listen(window, 'resize', () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.handleResize(), 150);
         });
 
-        document.addEventListener('touchstart', (e) => {
+        this.listen(document, 'touchstart', (e) => {
             if (!this.wrapper.contains(e.target)) {
                 this.forceResetGesture();
             }
         }, { passive: true });
 
-        document.addEventListener('touchmove', (e) => {
+        this.listen(document, 'touchmove', (e) => {
             if (!this.wrapper.contains(e.target)) {
                 this.forceResetGesture();
             }
         }, { passive: true });
 
-        document.addEventListener('touchend', () => {
+        this.listen(document, 'touchend', () => {
             this.forceResetGesture();
         }, { passive: true });
 
-        document.addEventListener('mousedown', (e) => {
+        this.listen(document, 'mousedown', (e) => {
             if (!this.wrapper.contains(e.target)) {
                 this.forceResetGesture();
             }
         });
     }
 
+    // A new breakpoint needs other clones and dots; a width change within
+    // one only resizes the cards. Mobile browsers also fire resize when the
+    // address bar hides, which changes neither.
+    handleResize() {
+        if (this.getBreakpointOptions().cardsToShow !== this.settings.cardsToShow) {
+            this.refresh();
+        } else if (window.innerWidth !== this.lastWidth) {
+            this.calculateCardWidth();
+            this.slideToIndex(this.currentIndex, false);
+        }
+    }
+
     slidePrev() {
         if (this.isAnimating) return;
         this.slideToIndex(this.currentIndex - 1);
@@ -201,8 +491,7 @@ class CardSlider {
         this.isDragging = false;
         this.isHorizontalSwipe = false;
         this.prevTranslate = this.currentTranslate;
-
-        // Auto-slide is disabled, so no need to clear interval
+        this.dragSamples = [{ x: touch.clientX, time: e.timeStamp }];
     }
 
     handleTouchMove(e) {
@@ -231,14 +520,13 @@ class CardSlider {
         }
 
         if (this.isDragging) {
-            this.currentTranslate = this.prevTranslate + diffX;
-            this.setSliderPosition();
+            this.dragTo(touch.clientX, e.timeStamp);
         }
     }
 
-    handleTouchEnd() {
+    handleTouchEnd(e) {
         if (this.isDragging && !this.isAnimating) {
-            this.dragEnd();
+            this.dragEnd(e.timeStamp);
             this.wrapper.classList.remove('dragging');
         }
 
@@ -248,8 +536,6 @@ class CardSlider {
         this.gestureResetTimer = setTimeout(() => {
             this.isHorizontalSwipe = false;
         }, 100);
-
-        // Auto-slide is disabled, so no need to restart
     }
 
     handleMouseDown(e) {
@@ -259,42 +545,131 @@ class CardSlider {
         this.startX = e.clientX;
         this.prevTranslate = this.currentTranslate;
         this.isDragging = true;
+        this.dragSamples = [{ x: e.clientX, time: e.timeStamp }];
 
         const move = (e) => {
             if (this.isAnimating) return;
-            const diffX = e.clientX - this.startX;
-            this.currentTranslate = this.prevTranslate + diffX;
-            this.setSliderPosition();
+            this.wrapper.style.transition = 'none';
+            this.dragTo(e.clientX, e.timeStamp);
         };
 
-        const up = () => {
+        const up = (e) => {
             if (this.isDragging && !this.isAnimating) {
-                this.dragEnd();
+                // A real drag must not also open the card under the pointer
+                this.suppressClick = Math.abs(e.clientX - this.startX) > CLICK_DRAG_DISTANCE;
+                this.dragEnd(e.timeStamp);
             }
-            document.removeEventListener('mousemove', move);
-            document.removeEventListener('mouseup', up);
+            this.isDragging = false;
+            // The click may land outside the slider and never reach the capture listener
+            setTimeout(() => {
+                this.suppressClick = false;
+            }, 0);
+            this.removeMouseDragListeners();
         };
 
+        this.removeMouseDragListeners();
+        this.mouseDragListeners = { move, up };
         document.addEventListener('mousemove', move);
         document.addEventListener('mouseup', up);
     }
 
-    dragEnd() {
+    removeMouseDragListeners() {
+        if (!this.mouseDragListeners) return;
+
+        document.removeEventListener('mousemove', this.mouseDragListeners.move);
+        document.removeEventListener('mouseup', this.mouseDragListeners.up);
+        this.mouseDragListeners = null;
+    }
+
+    // Keeps the row within the cards it has. Without a loop it can be pulled
+    // a little past either end (rubber band) and springs back on release.
+    limitTranslate(translate, resist = false) {
+        const min = -this.maxIndex * this.cardFullWidth;
+
+        if (this.isLooping || !resist) {
+            return Math.min(0, Math.max(min, translate));
+        }
+        if (translate > 0) return translate * DRAG_EDGE_RESISTANCE;
+        if (translate < min) return min + (translate - min) * DRAG_EDGE_RESISTANCE;
+        return translate;
+    }
+
+    // Moves the row with the pointer and remembers the last 100ms for the flick speed
+    dragTo(x, time) {
+        this.currentTranslate = this.limitTranslate(this.prevTranslate + x - this.startX, true);
+        this.setSliderPosition();
+
+        this.dragSamples.push({ x, time });
+        this.dragSamples = this.dragSamples.filter(sample => time - sample.time <= 100);
+    }
+
+    // Pointer speed at release in px/ms, positive to the right; holding
+    // still before letting go is no flick
+    getDragVelocity(releaseTime) {
+        const first = this.dragSamples[0];
+        const last = this.dragSamples[this.dragSamples.length - 1];
+        if (!first || last.time === first.time || releaseTime - last.time > 100) return 0;
+        return (last.x - first.x) / (last.time - first.time);
+    }
+
+    dragEnd(releaseTime) {
         this.wrapper.style.transition = 'transform 0.3s ease';
 
         const movedBy = this.currentTranslate - this.prevTranslate;
         const threshold = this.cardFullWidth / 4; // slightly more sensitive
 
-        if (movedBy < -threshold) {
-            // Swiped LEFT → go next
-            this.slideNext();
-        } else if (movedBy > threshold) {
-            // Swiped RIGHT → go previous
-            this.slidePrev();
-        } else {
-            // Not enough movement → snap back
-            this.slideToIndex(this.currentIndex);
+        // Where a flick would carry the row, rounded to a card
+        const projected = this.currentTranslate + this.getDragVelocity(releaseTime) * FLICK_MOMENTUM_MS;
+        let index = Math.round(-projected / this.cardFullWidth);
+
+        if (index === this.currentIndex) {
+            if (movedBy < -threshold) {
+                // Swiped LEFT → go next
+                index++;
+            } else if (movedBy > threshold) {
+                // Swiped RIGHT → go previous
+                index--;
+            }
         }
+
+        // At most a full view per flick, never past the clones or the last card
+        const cardsToShow = this.settings.cardsToShow;
+        index = Math.max(this.currentIndex - cardsToShow, Math.min(index, this.currentIndex + cardsToShow));
+        this.dragSamples = [];
+        this.slideToIndex(Math.max(0, Math.min(index, this.maxIndex)));
+    }
+
+    // Horizontal trackpad swipes (and shift + mouse wheel) move the row
+    // directly, then it snaps to the nearest card once they stop
+    handleWheel(e) {
+        if (Math.abs(e.deltaX) <= Math.abs(e.deltaY)) return;
+        // Otherwise the browser may treat the swipe as back/forward navigation
+        e.preventDefault();
+        if (this.isAnimating || this.isDragging) return;
+
+        const LINE_HEIGHT = 16;
+        const deltaX = e.deltaMode === 1 ? e.deltaX * LINE_HEIGHT : e.deltaX;
+
+        let translate = this.currentTranslate - deltaX;
+        if (this.isLooping) {
+            // Jump between the clones and the real cards as the row passes them
+            const position = -translate / this.cardFullWidth;
+            const span = this.totalRealCards * this.cardFullWidth;
+            if (position < this.cloneCount) {
+                translate -= span;
+            } else if (position >= this.totalRealCards + this.cloneCount) {
+                translate += span;
+            }
+        }
+
+        this.wrapper.style.transition = 'none';
+        this.currentTranslate = this.limitTranslate(translate);
+        this.setSliderPosition();
+
+        clearTimeout(this.wheelTimer);
+        this.wheelTimer = setTimeout(() => {
+            this.slideToIndex(Math.round(-this.currentTranslate / this.cardFullWidth));
+        }, WHEEL_SNAP_DELAY);
     }
 
     setSliderPosition() {
@@ -304,6 +679,11 @@ class CardSlider {
     slideToIndex(index, animate = true) {
         if (this.isAnimating) return;
 
+        // Without clones to wrap into, stop at either end
+        if (!this.isLooping) {
+            index = Math.max(0, Math.min(index, this.maxIndex));
+        }
+
         if (animate) {
             this.wrapper.style.transition = 'transform 0.3s ease';
         } else {
@@ -316,15 +696,17 @@ class CardSlider {
 
         this.setSliderPosition();
         this.updateDots();
+        // Only moves the visitor caused or watches, not the initial placement
+        if (animate) this.announcePosition();
 
-        if (!this.options.loop) return;
+        if (!this.isLooping) return;
 
         this.isAnimating = true;
 
-        setTimeout(() => {
+        this.loopTimer = setTimeout(() => {
 
             // If we moved into cloned slides at the start
-            if (this.currentIndex < this.options.cardsToShow) {
+            if (this.currentIndex < this.cloneCount) {
                 this.wrapper.style.transition = 'none';
 
                 this.currentIndex = this.totalRealCards + this.currentIndex;
@@ -335,7 +717,7 @@ class CardSlider {
             }
 
             // If we moved into cloned slides at the end
-            if (this.currentIndex >= this.totalRealCards + this.options.cardsToShow) {
+            if (this.currentIndex >= this.totalRealCards + this.cloneCount) {
                 this.wrapper.style.transition = 'none';
 
                 this.currentIndex = this.currentIndex - this.totalRealCards;
@@ -351,31 +733,131 @@ class CardSlider {
     }
 
     updateDots() {
-        if (!this.dots || !this.options.loop) return;
+        if (!this.dots) return;
+
+        // Real index for dots (excluding clones), wrapped around when looping
+        const realIndex = this.getRealIndex();
+        this.dots.forEach((dot, i) => {
+            dot.classList.toggle('active', i === realIndex);
+            if (i === realIndex) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
 
-        // Calculate real index for dots (excluding clones)
-        let realIndex = this.currentIndex - this.options.cardsToShow;
+    // Play/pause button plus everything that pauses autoplay for a while
+    setupAutoplay() {
+        // Visitors who asked for less motion only get autoplay by pressing play
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+        if (reducedMotion && reducedMotion.matches) {
+            this.pauseReasons.add('user');
+        }
+        if (document.hidden) {
+            this.pauseReasons.add('hidden');
+        }
+
+        this.autoplayToggle = document.createElement('button');
+        this.autoplayToggle.type = 'button';
+        this.autoplayToggle.className = 'slider-autoplay-toggle';
+        this.container.appendChild(this.autoplayToggle);
+        this.listen(this.autoplayToggle, 'click', () => {
+            if (this.pauseReasons.has('user')) {
+                this.play();
+            } else {
+                this.pause();
+            }
+        });
+        this.listen(document, 'languagechange', () => this.updateAutoplayToggle());
+
+        this.listen(this.container, 'mouseenter', () => this.addPauseReason('hover'));
+        this.listen(this.container, 'mouseleave', () => this.removePauseReason('hover'));
+        this.listen(this.container, 'focusin', () => this.addPauseReason('focus'));
+        this.listen(this.container, 'focusout', (e) => {
+            if (!this.container.contains(e.relatedTarget)) this.removePauseReason('focus');
+        });
+        this.listen(this.container, 'touchstart', () => this.addPauseReason('touch'), { passive: true });
+        this.listen(this.container, 'touchend', () => this.removePauseReason('touch'), { passive: true });
+
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.addPauseReason('hidden');
+            } else {
+                this.removePauseReason('hidden');
+            }
+        });
 
-        // Handle wrap-around for infinite loop
-        if (realIndex < 0) {
-            realIndex = this.totalRealCards + realIndex;
-        } else if (realIndex >= this.totalRealCards) {
-            realIndex = realIndex - this.totalRealCards;
+        if ('IntersectionObserver' in window) {
+            this.visibilityObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.removePauseReason('offscreen');
+                    } else {
+                        this.addPauseReason('offscreen');
+                    }
+                });
+            });
+            this.visibilityObserver.observe(this.container);
         }
 
-        this.dots.forEach((dot, i) => dot.classList.toggle('active', i === realIndex));
+        this.updateAutoplay();
+    }
+
+    // Starts autoplay as if the visitor pressed play, which also overrides
+    // keyboard focus inside the slider
+    play() {
+        this.pauseReasons.delete('user');
+        this.removePauseReason('focus');
     }
 
-    startAutoSlide() {
-        // This method is kept but auto-slide is disabled by default
+    pause() {
+        this.addPauseReason('user');
+    }
+
+    addPauseReason(reason) {
+        this.pauseReasons.add(reason);
+        this.updateAutoplay();
+    }
+
+    removePauseReason(reason) {
+        this.pauseReasons.delete(reason);
+        this.updateAutoplay();
+    }
+
+    // Every resume waits a full interval before the next slide
+    updateAutoplay() {
         clearInterval(this.autoSlideInterval);
-        if (this.options.autoSlide) {
+        this.autoSlideInterval = null;
+
+        const running = this.options.autoSlide && this.pauseReasons.size === 0;
+        // Announcing every automatic move would drown out everything else
+        if (this.liveRegion) this.liveRegion.setAttribute('aria-live', running ? 'off' : 'polite');
+
+        if (running) {
             this.autoSlideInterval = setInterval(() => {
-                if (!this.isAnimating) {
+                if (this.isAnimating) return;
+
+                // Without a loop, start over after the last card
+                if (!this.isLooping && this.currentIndex >= this.maxIndex) {
+                    this.slideToIndex(0);
+                } else {
                     this.slideNext();
                 }
             }, this.options.slideInterval);
         }
+
+        this.updateAutoplayToggle();
+    }
+
+    // Shows what pressing it will do; the hover and focus pauses do not count
+    updateAutoplayToggle() {
+        if (!this.autoplayToggle) return;
+
+        const playing = !this.pauseReasons.has('user');
+        this.autoplayToggle.innerHTML = `<i class="fas ${playing ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i>`;
+        this.autoplayToggle.setAttribute('aria-label', t(playing ? 'slider.pause' : 'slider.play'));
+        this.autoplayToggle.classList.toggle('paused', !playing);
     }
 }
 
@@ -383,10 +865,9 @@ document.addEventListener('DOMContentLoaded', () => {
     window.sliders = {};
     document.querySelectorAll('.cards-slider-container').forEach(container => {
         if (container.id) {
+            // Autoplay is left to each container's data-autoplay attributes
             window.sliders[container.id] = new CardSlider(container.id, {
-                loop: true,           // Enable infinite loop
-                cardsToShow: 6,        // Show 6 cards at once
-                autoSlide: false       // Auto-slide turned OFF
+                loop: true            // Enable infinite loop
             });
         }
     });
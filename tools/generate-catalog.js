@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Catalog Generator
+ * Builds products.json entries from the product photos in img/<category>/.
+ * File names follow "<number> <name> - <price>k.webp", e.g.
+ * "1 Bags - 1.700k .webp" or "42 Jumpsuit Sport Women 999k.webp".
+ *
+ * Existing products are matched by image path and never overwritten:
+ * hand-edited names, descriptions, sizes and discounts stay as they are.
+ * Photos not used by any product become new products at the end of the file;
+ * the text before them is left byte for byte as it was.
+ * Differences between the file names and products.json are reported as conflicts.
+ *
+ * Usage: node tools/generate-catalog.js [--dry-run]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { validateCatalog, readCategories, formatProblem } = require('./validate-catalog');
+
+const ROOT = path.resolve(__dirname, '..');
+const IMG_DIR = path.join(ROOT, 'img');
+const CATALOG_PATH = path.join(ROOT, 'products.json');
+
+const IMAGE_EXTENSIONS = ['.webp', '.jpg', '.jpeg', '.png'];
+const DEFAULT_DESCRIPTION = 'If you would like to purchase this product, please take a screenshot and send it to our WhatsApp admin to check product availability';
+
+// "<number> <name> [-] <price>k[anything]" - the first price wins, so
+// "46 Shock  - 110k_pcs 450k_box" is 110k
+const FILE_NAME_PATTERN = /^(\d+)\s+(.+?)\s*-?\s*(\d{1,3}(?:[.,]\d{3})*|\d+)\s*k(?![a-z])/i;
+
+function stripExtensions(fileName) {
+    let name = fileName.trim();
+    let ext = path.extname(name).toLowerCase();
+    // Handles double extensions such as "620k .jpg.webp"
+    while (IMAGE_EXTENSIONS.includes(ext)) {
+        name = name.slice(0, -ext.length).trim();
+        ext = path.extname(name).toLowerCase();
+    }
+    return name;
+}
+
+// Returns { number, name, price } or null when the file does not follow the convention
+function parseImageFileName(fileName) {
+    if (!IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) return null;
+
+    const match = stripExtensions(fileName).match(FILE_NAME_PATTERN);
+    if (!match) return null;
+
+    const thousands = parseInt(match[3].replace(/[.,]/g, ''), 10);
+
+    return {
+        number: parseInt(match[1], 10),
+        name: match[2].replace(/\s+/g, ' ').replace(/\s*-\s*$/, '').trim(),
+        price: thousands * 1000
+    };
+}
+
+// Folder names differ from category names only in case ("Women sportwear")
+function findCategory(folderName, categories) {
+    const key = folderName.trim().toLowerCase();
+    return categories.find(category => category.toLowerCase() === key) || null;
+}
+
+function scanImages(categories) {
+    const images = [];
+    const ignoredFolders = [];
+    const unparsedFiles = [];
+
+    fs.readdirSync(IMG_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => {
+            const category = findCategory(entry.name, categories);
+            if (!category) {
+                ignoredFolders.push(entry.name);
+                return;
+            }
+
+            fs.readdirSync(path.join(IMG_DIR, entry.name))
+                .forEach(fileName => {
+                    const parsed = parseImageFileName(fileName);
+                    if (!parsed) {
+                        unparsedFiles.push(`${entry.name}/${fileName}`);
+                        return;
+                    }
+                    images.push({
+                        ...parsed,
+                        category,
+                        path: `./img/${entry.name}/${fileName}`
+                    });
+                });
+        });
+
+    // Same order as the folders: by category, then by file number
+    images.sort((a, b) =>
+        categories.indexOf(a.category) - categories.indexOf(b.category) || a.number - b.number
+    );
+
+    return { images, ignoredFolders, unparsedFiles };
+}
+
+function mergeCatalog(products, images) {
+    const merged = products.map(product => ({ ...product }));
+    const conflicts = [];
+    const added = [];
+
+    const productByImage = new Map();
+    merged.forEach(product => {
+        (product.images || []).forEach(image => productByImage.set(image, product));
+    });
+
+    let nextId = merged.reduce((max, product) => Math.max(max, Number(product.id) || 0), 0) + 1;
+
+    images.forEach(image => {
+        const product = productByImage.get(image.path);
+
+        if (!product) {
+            const newProduct = {
+                id: nextId++,
+                name: image.name,
+                description: DEFAULT_DESCRIPTION,
+                price: image.price,
+                images: [image.path],
+                category: image.category,
+                discount: 0,
+                size: []
+            };
+            merged.push(newProduct);
+            productByImage.set(image.path, newProduct);
+            added.push(newProduct);
+            return;
+        }
+
+        // Only the first image of a product carries the authoritative price
+        if (product.images[0] === image.path && product.price !== image.price) {
+            conflicts.push(`product #${product.id} price: products.json has ${product.price}, file name says ${image.price} (${image.path})`);
+        }
+        if (product.category !== image.category) {
+            conflicts.push(`product #${product.id} category: products.json has "${product.category}", image is in the ${image.category} folder (${image.path})`);
+        }
+    });
+
+    const scannedPaths = new Set(images.map(image => image.path));
+    merged.forEach(product => {
+        (product.images || []).forEach(image => {
+            if (!scannedPaths.has(image)) {
+                conflicts.push(`product #${product.id} images: ${image} is not a product photo in a category folder`);
+            }
+        });
+    });
+
+    return { products: merged, added, conflicts };
+}
+
+// Adds the new products before the closing ] of the products.json text. The
+// existing entries keep their line endings and "1700000.0" prices, so the
+// diff only shows what was added.
+function appendProducts(text, added) {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const decimalPrices = /"price": \d+\.0\b/.test(text);
+    const end = text.lastIndexOf(']');
+    const head = text.slice(0, end).trimEnd();
+
+    const entries = added.map(product => {
+        let json = JSON.stringify(product, null, 4);
+        if (decimalPrices) json = json.replace(/^(\s*"price": \d+)(,?)$/m, '$1.0$2');
+        return json.split('\n').map(line => `    ${line}`).join(eol);
+    });
+
+    const separator = head.endsWith('[') ? '' : ',';
+    return head + separator + eol + entries.join(`,${eol}`) + eol + text.slice(end);
+}
+
+function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const categories = readCategories().map(category => category.name);
+    const text = fs.readFileSync(CATALOG_PATH, 'utf8');
+    const existing = JSON.parse(text);
+
+    const { images, ignoredFolders, unparsedFiles } = scanImages(categories);
+    const { products, added, conflicts } = mergeCatalog(existing, images);
+
+    console.log(`Scanned ${images.length} product images (ignored folders: ${ignoredFolders.join(', ') || 'none'})`);
+
+    if (unparsedFiles.length > 0) {
+        console.log(`\n${unparsedFiles.length} file(s) do not follow "<number> <name> - <price>k":`);
+        unparsedFiles.forEach(file => console.log(`  ${file}`));
+    }
+
+    if (added.length > 0) {
+        console.log(`\n${added.length} new product(s) - check their name and add sizes where needed:`);
+        added.forEach(product => console.log(`  #${product.id} ${product.name} (${product.category}) ${product.price}`));
+    } else {
+        console.log('\nNo new products.');
+    }
+
+    if (conflicts.length > 0) {
+        console.log(`\n${conflicts.length} conflict(s) - products.json was kept, fix by hand if needed:`);
+        conflicts.forEach(conflict => console.log(`  ${conflict}`));
+    }
+
+    const problems = validateCatalog(products);
+    if (problems.length > 0) {
+        console.log(`\nThe merged catalog has ${problems.length} validation problem(s):`);
+        problems.forEach(problem => console.log(formatProblem(problem)));
+    }
+
+    if (dryRun) {
+        console.log('\nDry run, products.json not written.');
+    } else if (added.length > 0) {
+        fs.writeFileSync(CATALOG_PATH, appendProducts(text, added));
+        console.log(`\nWrote ${products.length} products to products.json`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseImageFileName, mergeCatalog, appendProducts };
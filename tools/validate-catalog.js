@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Catalog Validator
+ * Checks products.json against products.schema.json, then checks what a
+ * schema cannot express: duplicate ids, image files missing from img/,
+ * per-size stock for sizes the product does not have, related ids that
+ * do not exist and categories missing from categories.json.
+ * categories.json itself is checked against categories.schema.json first.
+ *
+ * Usage: node tools/validate-catalog.js [path/to/products.json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT, 'products.schema.json');
+const DEFAULT_CATALOG_PATH = path.join(ROOT, 'products.json');
+const CATEGORIES_PATH = path.join(ROOT, 'categories.json');
+const CATEGORIES_SCHEMA_PATH = path.join(ROOT, 'categories.schema.json');
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validates the subset of JSON Schema used by products.schema.json.
+// Each problem is reported as { field, message }.
+function validateAgainstSchema(value, schema, field, problems) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        problems.push({ field, message: `must be ${schema.type}, got ${typeOf(value)}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push({ field, message: `unknown value ${JSON.stringify(value)} (allowed: ${schema.enum.join(', ')})` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push({ field, message: `must be >= ${schema.minimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push({ field, message: `must be <= ${schema.maximum}, got ${value}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            problems.push({ field, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push({ field, message: `${JSON.stringify(value)} does not match ${schema.pattern}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            problems.push({ field, message: `needs at least ${schema.minItems} item(s)` });
+        }
+        if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+            problems.push({ field, message: 'contains duplicates' });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${field}[${i}]`, problems));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                problems.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childField = field ? `${field}.${key}` : key;
+            const childSchema = schema.properties && schema.properties[key];
+
+            if (childSchema) {
+                validateAgainstSchema(value[key], childSchema, childField, problems);
+            } else if (schema.additionalProperties === false) {
+                problems.push({ field: childField, message: 'is not a known field' });
+            } else if (typeOf(schema.additionalProperties) === 'object') {
+                validateAgainstSchema(value[key], schema.additionalProperties, childField, problems);
+            }
+        });
+    }
+}
+
+function readCategories() {
+    return JSON.parse(fs.readFileSync(CATEGORIES_PATH, 'utf8'));
+}
+
+// Returns every problem in categories.json as { category, index, field, message }
+function validateCategories(categories, options = {}) {
+    const schema = options.schema || JSON.parse(fs.readFileSync(CATEGORIES_SCHEMA_PATH, 'utf8'));
+    const root = options.root || ROOT;
+    const problems = [];
+
+    const schemaProblems = [];
+    validateAgainstSchema(categories, schema, '', schemaProblems);
+    if (!Array.isArray(categories)) {
+        return schemaProblems.map(problem => ({ category: null, index: null, ...problem }));
+    }
+
+    // Names, slugs and aliases all select a category in links, so none may repeat
+    const seenKeys = new Map();
+    const seenSliderIds = new Set();
+    const slugs = new Set(categories.filter(category => category && typeof category.slug === 'string').map(category => category.slug));
+
+    categories.forEach((category, index) => {
+        const name = category && typeof category.name === 'string' ? category.name : null;
+        const report = (field, message) => problems.push({ category: name, index, field, message });
+
+        schemaProblems
+            .filter(problem => problem.field.startsWith(`[${index}]`))
+            .forEach(problem => report(problem.field.replace(/^\[\d+\]\.?/, ''), problem.message));
+
+        if (!category || typeOf(category) !== 'object') return;
+
+        [['name', category.name], ['slug', category.slug], ...(category.aliases || []).map((alias, i) => [`aliases[${i}]`, alias])]
+            .filter(([, value]) => typeof value === 'string')
+            .forEach(([field, value]) => {
+                const key = value.trim().toLowerCase().replace(/\s+/g, ' ');
+                const owner = seenKeys.get(key);
+                if (owner !== undefined && owner !== index) {
+                    report(field, `${JSON.stringify(value)} is already used by the category at index ${owner}`);
+                } else {
+                    seenKeys.set(key, index);
+                }
+            });
+
+        const sliderId = category.sliderId || `${category.slug}-slider`;
+        if (seenSliderIds.has(sliderId)) {
+            report('sliderId', `${JSON.stringify(sliderId)} is used twice`);
+        }
+        seenSliderIds.add(sliderId);
+
+        if (typeof category.image === 'string' && !fs.existsSync(path.resolve(root, category.image))) {
+            report('image', `file not found: ${category.image}`);
+        }
+
+        (Array.isArray(category.complementary) ? category.complementary : []).forEach((slug, i) => {
+            if (typeof slug !== 'string') return;
+            if (slug === category.slug) {
+                report(`complementary[${i}]`, 'a category cannot complement itself');
+            } else if (!slugs.has(slug)) {
+                report(`complementary[${i}]`, `no category with the slug ${JSON.stringify(slug)}`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+// Returns every problem in the catalog as { id, index, field, message }
+function validateCatalog(products, options = {}) {
+    const schema = options.schema || JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const root = options.root || ROOT;
+    const categoryNames = (options.categories || readCategories())
+        .map(category => category && category.name);
+    const problems = [];
+
+    if (!Array.isArray(products)) {
+        return [{ id: null, index: null, field: '', message: 'catalog must be a JSON array of products' }];
+    }
+
+    const seenIds = new Map();
+
+    products.forEach((product, index) => {
+        const id = product && product.id !== undefined ? product.id : null;
+        const report = (field, message) => problems.push({ id, index, field, message });
+
+        const schemaProblems = [];
+        validateAgainstSchema(product, schema.items, '', schemaProblems);
+        schemaProblems.forEach(problem => report(problem.field, problem.message));
+
+        if (product && typeof product.category === 'string' && product.category.trim() !== '' &&
+            !categoryNames.includes(product.category)) {
+            report('category', `unknown category ${JSON.stringify(product.category)} (not in categories.json)`);
+        }
+
+        if (id !== null) {
+            if (seenIds.has(id)) {
+                report('id', `duplicate id, also used by the product at index ${seenIds.get(id)}`);
+            } else {
+                seenIds.set(id, index);
+            }
+        }
+
+        if (product && typeOf(product.sizeStock) === 'object' && Array.isArray(product.size)) {
+            Object.keys(product.sizeStock).forEach(size => {
+                if (!product.size.includes(size)) {
+                    report(`sizeStock.${size}`, `size ${JSON.stringify(size)} is not in the size list`);
+                }
+            });
+        }
+
+        if (product && Array.isArray(product.images)) {
+            product.images.forEach((image, i) => {
+                if (typeof image !== 'string') return;
+
+                const filePath = path.resolve(root, image);
+                if (!filePath.startsWith(path.join(root, 'img') + path.sep)) {
+                    report(`images[${i}]`, `${JSON.stringify(image)} is outside img/`);
+                } else if (!fs.existsSync(filePath)) {
+                    report(`images[${i}]`, `file not found: ${image}`);
+                }
+            });
+        }
+    });
+
+    // Needs every id, so it runs after the loop above
+    products.forEach((product, index) => {
+        if (!product || !Array.isArray(product.related)) return;
+
+        const id = product.id !== undefined ? product.id : null;
+        product.related.forEach((relatedId, i) => {
+            if (relatedId === id) {
+                problems.push({ id, index, field: `related[${i}]`, message: 'a product cannot be related to itself' });
+            } else if (Number.isInteger(relatedId) && !seenIds.has(relatedId)) {
+                problems.push({ id, index, field: `related[${i}]`, message: `no product has id ${relatedId}` });
+            }
+        });
+    });
+
+    return problems;
+}
+
+function formatProblem(problem) {
+    let where;
+    if (problem.category !== undefined) {
+        where = problem.category !== null
+            ? `category ${JSON.stringify(problem.category)}`
+            : problem.index !== null ? `category at index ${problem.index}` : 'categories.json';
+    } else {
+        where = problem.id !== null
+            ? `product #${problem.id}`
+            : problem.index !== null ? `product at index ${problem.index}` : 'catalog';
+    }
+    return `  ${where}${problem.field ? ` ${problem.field}` : ''}: ${problem.message}`;
+}
+
+function main() {
+    const catalogPath = path.resolve(process.argv[2] || DEFAULT_CATALOG_PATH);
+    const relativePath = path.relative(process.cwd(), catalogPath) || catalogPath;
+
+    let products;
+    try {
+        products = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    } catch (error) {
+        console.error(`${relativePath}: could not be read as JSON`);
+        console.error(`  ${error.message}`);
+        process.exit(1);
+    }
+
+    let categories;
+    try {
+        categories = readCategories();
+    } catch (error) {
+        console.error('categories.json: could not be read as JSON');
+        console.error(`  ${error.message}`);
+        process.exit(1);
+    }
+
+    const categoryProblems = validateCategories(categories);
+    if (categoryProblems.length > 0) {
+        console.error(`categories.json: ${categoryProblems.length} problem(s) found`);
+        categoryProblems.forEach(problem => console.error(formatProblem(problem)));
+        process.exit(1);
+    }
+
+    const problems = validateCatalog(products, { categories });
+
+    if (problems.length === 0) {
+        console.log(`${relativePath}: ${products.length} products OK (${categories.length} categories)`);
+        return;
+    }
+
+    console.error(`${relativePath}: ${problems.length} problem(s) found`);
+    problems.forEach(problem => console.error(formatProblem(problem)));
+    process.exit(1);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { validateCatalog, validateCategories, readCategories, formatProblem };
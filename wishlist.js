@@ -0,0 +1,133 @@
+// Favorites shared by index.html and Products.html
+// Product ids are kept in localStorage; every heart button with a matching
+// data-id is kept in sync, and Products.html?category=favorites lists them.
+// A list can be shared as a link that carries the ids (&ids=4,18,27).
+class Wishlist {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'athnaWishlist',
+            listURL: './Products.html',
+            ...options
+        };
+
+        this.ids = this.loadIds();
+
+        this.init();
+    }
+
+    loadIds() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            return Array.isArray(stored) ? Wishlist.parseIds(stored) : [];
+        } catch (error) {
+            console.warn('Could not read saved favorites, starting empty:', error);
+            return [];
+        }
+    }
+
+    saveIds() {
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(this.ids));
+        } catch (error) {
+            console.warn('Could not save favorites:', error);
+        }
+        this.render();
+        document.dispatchEvent(new CustomEvent('wishlistchange', { detail: { ids: this.getIds() } }));
+    }
+
+    // Accepts an array or a "4,18,27" string; drops anything that is not an id
+    static parseIds(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        const ids = list.map(Number).filter(id => Number.isInteger(id) && id > 0);
+        return [...new Set(ids)];
+    }
+
+    has(id) {
+        return this.ids.includes(Number(id));
+    }
+
+    // Returns true when the product is a favorite afterwards
+    toggle(id) {
+        id = Number(id);
+        if (this.has(id)) {
+            this.ids = this.ids.filter(savedId => savedId !== id);
+        } else {
+            this.ids.unshift(id); // Newest first
+        }
+        this.saveIds();
+        return this.has(id);
+    }
+
+    // Merges a shared list into this one
+    addAll(ids) {
+        const newIds = Wishlist.parseIds(ids).filter(id => !this.has(id));
+        if (newIds.length === 0) return;
+
+        this.ids = [...newIds, ...this.ids];
+        this.saveIds();
+    }
+
+    getIds() {
+        return [...this.ids];
+    }
+
+    getCount() {
+        return this.ids.length;
+    }
+
+    getShareURL(ids = this.ids) {
+        const url = new URL(this.options.listURL, window.location.href);
+        // Built by hand so the commas stay readable instead of becoming %2C
+        url.search = `?category=favorites&ids=${ids.join(',')}`;
+        url.hash = '';
+        return url.toString();
+    }
+
+    render() {
+        const count = this.getCount();
+        document.querySelectorAll('.wishlist-count').forEach(badge => {
+            badge.textContent = count;
+            badge.classList.toggle('empty', count === 0);
+        });
+
+        document.querySelectorAll('.wishlist-toggle[data-id]').forEach(button => {
+            const saved = this.has(button.dataset.id);
+            button.classList.toggle('active', saved);
+            button.setAttribute('aria-pressed', String(saved));
+
+            const icon = button.querySelector('i');
+            if (icon) icon.className = `${saved ? 'fas' : 'far'} fa-heart`;
+        });
+    }
+
+    setupEventListeners() {
+        // Capture phase, so the heart never also opens the card it sits on
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.wishlist-toggle[data-id]');
+            if (!button) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggle(button.dataset.id);
+        }, true);
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.options.storageKey) {
+                this.ids = this.loadIds();
+                this.render();
+                document.dispatchEvent(new CustomEvent('wishlistchange', { detail: { ids: this.getIds() } }));
+            }
+        });
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.wishlist = new Wishlist();
+});